@@ -0,0 +1,360 @@
+/**
+ * Command-line entry point. Accepts either form:
+ *
+ *   node cli.mjs <URL> <message> [--cookies <cookies.txt|cookies.json>]
+ *                                                 convert one lesson (headers from headers.json)
+ *   node cli.mjs <URL> --course [outDir] [--download-assets]
+ *                                                 export the whole course
+ *   node cli.mjs <URL> <message> --course-report   send an overview of the course to the sinks
+ *   node cli.mjs --course-report --course-json <course.json>
+ *                                                 the same from a saved course JSON
+ *   node cli.mjs --offline <lesson.json> [--course-json <course.json>] [--previous <old lesson.json>]
+ *                [--assessments <formats> [--out <dir>]]
+ *   node cli.mjs --check-golden [fixturesDir] [--course-json <course.json>] [--update]
+ *   node cli.mjs --batch <jobs.jsonl> [--state <file>] [--concurrency <n>] [--retry-failed]
+ *                                                 convert one lesson per line, resumable
+ *
+ *   node cli.mjs '{"url": "...", "message": "...", "headersJson": "{...}", "cookieArgs": "a=1; b=2"}'
+ *     with optional "mode": "course" | "course-report" | "offline" and the matching
+ *     "outDir", "downloadAssets", "lessonFile", "courseFile", "previousFile", "pageId" fields;
+ *     "cookieFile" reads a cookie jar like --cookies
+ *
+ * Both forms take an output format, `--format markdown|json|both` or
+ * "format": "...", for the sink payload, course export files and offline output,
+ * and reviewer mode, `--reviewer` or "reviewer": true, which also renders
+ * solutions and files hidden from learners, and the math dialect,
+ * `--math github|mathjax|mathml` or "mathDialect": "...", and the column layout,
+ * `--columns sections|html` or "columnLayout": "...".
+ *
+ * Course and lesson JSON are cached under CACHE_DIR (default `.cache`); a lesson
+ * that has not changed since it was last sent is not sent again. `--force` or
+ * "force": true bypasses the cache. `--diff [replace|alongside]` or "diff": "..."
+ * sends what changed since the cached render instead of, or next to, the lesson.
+ *
+ * `--assessments gift,moodle,qti` or "assessments": "gift,moodle,qti" exports the
+ * quiz, matching and ordering questions too: into the sink payload for one
+ * lesson, `<outDir>/assessments/` for a course, and `--out` (default
+ * `assessments`) offline.
+ *
+ * `--workspaces [dir]` or "workspaces": "<dir>" | true writes each code widget's
+ * files to `<dir>/<page slug>/` (default `workspaces`; `<outDir>/workspaces/` for
+ * a course) and syntax-checks them; the results go into the payload as `codeChecks`.
+ *
+ * Links to other lessons are resolved against the course TOC in every mode.
+ * `--check-links` or "checkLinks": true also requests the external ones, except
+ * hosts on the allow/deny list in `--link-rules <file>`, "linkRules" or LINK_RULES.
+ */
+import dotenv from 'dotenv';
+import { readFile } from 'fs/promises';
+import { basename } from 'path';
+import {
+  convertLesson,
+  createBrowserPool,
+  createCache,
+  createLinkChecker,
+  createSinksFromEnv,
+  courseReportFromUrl,
+  exportCourseFromUrl,
+  loadHeaders,
+  loadLinkRules,
+  loadRenderers,
+  outputFields,
+  renderLessonFile,
+  sendCourseReport,
+} from './index.mjs';
+import { diffLessonDocuments } from './lib/diff.mjs';
+import { writeAssessments } from './lib/assessments.mjs';
+import { runBatch } from './lib/batch.mjs';
+import { createDiagnostics } from './lib/diagnostics.mjs';
+import { errorCategory, exitCodeFor } from './lib/errors.mjs';
+import { configureLogFromEnv, log } from './lib/log.mjs';
+import { runGoldenCheck } from './lib/offline.mjs';
+import { createRunReport, countComponents } from './lib/run_report.mjs';
+
+dotenv.config(); // Enables .env support for local dev
+
+// The JSON input form, also used for each line of a batch file
+function fromJsonInput({ headersJson, cookieArgs, cookieFile, ...input }) {
+  return { ...input, headerSources: { headersJson, cookieString: cookieArgs, cookieFile } };
+}
+
+function parseJsonInput(rawInput) {
+  return fromJsonInput(JSON.parse(rawInput));
+}
+
+// Only when external links are to be requested or a rule list is given
+async function linkCheckerOf({ checkLinks, linkRules = process.env.LINK_RULES }) {
+  if (!checkLinks && !linkRules) return undefined;
+  return createLinkChecker({ ...(await loadLinkRules(linkRules)), fetchExternal: Boolean(checkLinks) });
+}
+
+// `"workspaces": true` means the default folder
+function workspaceDirOf(value) {
+  if (!value) return undefined;
+  return value === true ? 'workspaces' : String(value);
+}
+
+// "gift,moodle" or ["gift", "moodle"]
+function parseList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(s => s.trim()).filter(Boolean);
+}
+
+function parsePositionalInput(args) {
+  const flagValue = (flag, fallback) => {
+    const i = args.indexOf(flag);
+    return i !== -1 && args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : fallback;
+  };
+  const [url, message] = args;
+  const headerSources = { headersFile: 'headers.json', cookieFile: flagValue('--cookies') };
+  const format = flagValue('--format', 'markdown');
+  const reviewer = args.includes('--reviewer');
+  const mathDialect = flagValue('--math');
+  const columnLayout = flagValue('--columns');
+  const force = args.includes('--force');
+  const diff = args.includes('--diff') ? flagValue('--diff', 'replace') : undefined;
+  const assessments = flagValue('--assessments');
+  const workspaces = args.includes('--workspaces') ? flagValue('--workspaces', true) : undefined;
+  const checkLinks = args.includes('--check-links');
+  const linkRules = flagValue('--link-rules');
+
+  if (args.includes('--batch')) {
+    return { mode: 'batch', batchFile: flagValue('--batch'), stateFile: flagValue('--state'),
+      concurrency: flagValue('--concurrency'), retryFailed: args.includes('--retry-failed') };
+  }
+  if (args.includes('--check-golden')) {
+    return { mode: 'check-golden', fixturesDir: flagValue('--check-golden', 'fixtures'), courseFile: flagValue('--course-json'),
+      update: args.includes('--update') };
+  }
+  if (args.includes('--offline')) {
+    return { mode: 'offline', lessonFile: flagValue('--offline'), courseFile: flagValue('--course-json'),
+      previousFile: flagValue('--previous'), format, reviewer, mathDialect, columnLayout, assessments, assessmentsDir: flagValue('--out'), workspaces, checkLinks, linkRules };
+  }
+  if (args.includes('--course-report')) {
+    // `--course-report --course-json <file>` has no URL or message in front
+    const positional = value => (value?.startsWith('--') ? undefined : value);
+    return { mode: 'course-report', url: positional(url), message: positional(url) && positional(message), courseFile: flagValue('--course-json'), headerSources };
+  }
+  if (args.includes('--course')) {
+    const downloadAssets = args.includes('--download-assets');
+    return { mode: 'course', url, outDir: flagValue('--course'), downloadAssets, headerSources, format, reviewer, mathDialect, columnLayout, force, assessments, workspaces, checkLinks, linkRules };
+  }
+  return { url, message, headerSources, format, reviewer, mathDialect, columnLayout, force, diff, assessments, workspaces, checkLinks, linkRules };
+}
+
+function parseInput(args) {
+  if (args[0]?.trim().startsWith('{')) {
+    try {
+      return parseJsonInput(args[0]);
+    } catch (e) {
+      throw new Error(`Could not parse JSON input: ${e.message}`);
+    }
+  }
+  return parsePositionalInput(args);
+}
+
+async function run(input) {
+  if (input.mode === 'check-golden') {
+    const ok = await runGoldenCheck(input.fixturesDir, { update: input.update, ...(input.courseFile && { courseFile: input.courseFile }) });
+    if (!ok) process.exitCode = 1;
+    return;
+  }
+  if (input.mode === 'batch') {
+    await runBatchFile(input);
+    return;
+  }
+  if (input.mode === 'offline') {
+    // Render a saved lesson JSON; no browser, no fetch, no sinks. Stdout is the output
+    log.configure({ infoStream: 'stderr' });
+    const rendered = await renderLessonFile(input.lessonFile, {
+      ...input,
+      workspaceDir: workspaceDirOf(input.workspaces),
+      linkChecker: await linkCheckerOf(input),
+    });
+    if (rendered.codeChecks) {
+      const { dir, widgets, checked, errors, warnings } = rendered.codeChecks;
+      log.info(`🧰 ${widgets} code widgets written to ${dir}: ${checked} files checked, ${errors} with syntax errors, ${warnings} with warnings`);
+    }
+    const format = input.format || 'markdown';
+    const assessmentFormats = parseList(input.assessments);
+    if (assessmentFormats.length) {
+      const files = await writeAssessments(rendered.questions, {
+        outDir: input.assessmentsDir || 'assessments',
+        formats: assessmentFormats,
+        category: rendered.title,
+      });
+      log.info(`📝 ${rendered.questions.length} questions exported: ${files.join(', ')}`);
+    }
+    if (input.previousFile) {
+      // Same page as the current file, whatever the old file is called
+      const pageId = input.pageId ?? basename(input.lessonFile, '.json');
+      const previous = await renderLessonFile(input.previousFile, { ...input, pageId });
+      const { report, markdown } = diffLessonDocuments(previous.document, rendered.document);
+      process.stdout.write(format === 'markdown' ? markdown : JSON.stringify({ diffReport: report }, null, 2) + '\n');
+      return;
+    }
+    process.stdout.write(format === 'markdown'
+      ? rendered.markdown
+      : JSON.stringify({ ...outputFields(rendered, format), findings: rendered.findings, assets: rendered.assets, links: rendered.links, codeChecks: rendered.codeChecks }, null, 2) + '\n');
+    return;
+  }
+
+  if (input.mode === 'course-report' && input.courseFile) {
+    // From a saved course JSON: nothing to fetch
+    const course = JSON.parse(await readFile(input.courseFile, 'utf-8'));
+    await sendCourseReport(course, { message: input.message, sinks: await createSinksFromEnv() });
+    log.info('✅ Course report sent');
+    return;
+  }
+
+  if (!input.url) throw new Error('Please provide a lesson URL');
+  const report = createRunReport({ command: input.mode || 'lesson' });
+  const diagnostics = createDiagnostics({ dir: process.env.DIAGNOSTICS_DIR || 'diagnostics' });
+  // One Chromium for the whole run, closed even when a fetch fails
+  const browser = createBrowserPool({ concurrency: Number(process.env.BROWSER_CONCURRENCY) || 2 });
+  try {
+    const headers = await loadHeaders(input.headerSources);
+    await runLive(input, report, {
+      headers,
+      browser,
+      cache: createCache({ dir: process.env.CACHE_DIR || '.cache' }),
+      force: Boolean(input.force),
+      diagnostics,
+      linkChecker: await linkCheckerOf(input),
+    });
+  } catch (err) {
+    await recordFailure(input, report, diagnostics, err);
+    throw err;
+  } finally {
+    await browser.close();
+    await writeReport(report);
+  }
+}
+
+async function recordFailure(input, report, diagnostics, err) {
+  const category = errorCategory(err);
+  if (input.mode === 'course' || input.mode === 'course-report') report.addError(err, { url: input.url, category });
+  else report.addLesson({ url: input.url, status: 'failed', error: err.message, code: err.code, category });
+  log.error(`🩺 Diagnostics saved to ${await diagnostics.write(err)}`);
+}
+
+async function writeReport(report) {
+  const file = await report.write(`${process.env.RUN_REPORT_DIR || 'runs'}/${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  log.info(`🧾 Run report: ${file}`);
+}
+
+// Every line of the batch file is a lesson job in the JSON input form, sharing one browser, cache and set of sinks
+async function runBatchFile(input) {
+  if (!input.batchFile) throw new Error('Please provide a batch file: --batch <jobs.jsonl>');
+  const report = createRunReport({ command: 'batch' });
+  const browser = createBrowserPool({ concurrency: Number(process.env.BROWSER_CONCURRENCY) || 2 });
+  const cache = createCache({ dir: process.env.CACHE_DIR || '.cache' });
+  const sinks = await createSinksFromEnv();
+  try {
+    const summary = await runBatch(input.batchFile, {
+      stateFile: input.stateFile,
+      concurrency: Number(input.concurrency) || Number(process.env.BATCH_CONCURRENCY) || 2,
+      hostIntervalMs: Number(process.env.BATCH_HOST_INTERVAL_MS) || 2000,
+      retryFailed: input.retryFailed,
+      async run(job) {
+        const jobInput = fromJsonInput(job);
+        const diagnostics = createDiagnostics({ dir: process.env.DIAGNOSTICS_DIR || 'diagnostics' });
+        try {
+          const headers = await loadHeaders(jobInput.headerSources);
+          const linkChecker = await linkCheckerOf(jobInput);
+          await convertAndRecord(jobInput, report, { headers, browser, cache, force: Boolean(jobInput.force), diagnostics, sinks, linkChecker });
+        } catch (err) {
+          await recordFailure(jobInput, report, diagnostics, err);
+          throw err;
+        }
+      },
+    });
+
+    const { total, done, failed, skipped, failures, stateFile } = summary;
+    log.info(`📊 Batch finished: ${total} jobs, ${done} done, ${failed} failed, ${skipped} skipped from an earlier run. State: ${stateFile}`);
+    for (const { line, url, reason } of failures) log.info(`   ❌ line ${line} ${url}: ${reason}`);
+    if (failures.length) {
+      // As for a course export, the run fails with the category of the first failed job
+      throw Object.assign(new Error(`${failed} of ${total} batch jobs failed`), { category: failures[0].category ?? undefined });
+    }
+  } finally {
+    await browser.close();
+    await writeReport(report);
+  }
+}
+
+async function runLive(input, report, options) {
+  if (input.mode === 'course') {
+    const { indexFile, exported, failed, lessons } = await exportCourseFromUrl(input.url, {
+      ...options,
+      outDir: input.outDir || 'course_export',
+      format: input.format,
+      reviewer: input.reviewer,
+      mathDialect: input.mathDialect,
+      columnLayout: input.columnLayout,
+      downloadAssets: input.downloadAssets,
+      assessmentFormats: parseList(input.assessments),
+      workspaces: Boolean(input.workspaces),
+    });
+    lessons.forEach(lesson => report.addLesson(lesson));
+    log.info(`✅ Course export completed: ${exported} lessons written, ${failed} failed. Index: ${indexFile}`);
+    const first = lessons.find(lesson => lesson.error);
+    if (first) {
+      // The run fails with the category (and exit code) of the first lesson that failed
+      throw Object.assign(new Error(`${failed} of ${lessons.length} lessons failed, first "${first.title}": ${first.error}`),
+        { category: first.category, url: first.url });
+    }
+    return;
+  }
+
+  if (input.mode === 'course-report') {
+    await courseReportFromUrl(input.url, { ...options, message: input.message, sinks: await createSinksFromEnv() });
+    log.info('✅ Course report sent');
+    return;
+  }
+
+  log.info(`🧪 Message: ${input.message}`);
+  const { markdown, document } = await convertAndRecord(input, report, { ...options, sinks: await createSinksFromEnv() });
+  log.info("✅ Scraping completed. Here's the Markdown:\n");
+  console.log(markdown);
+  if (input.format && input.format !== 'markdown') {
+    console.log(JSON.stringify(document, null, 2));
+  }
+}
+
+async function convertAndRecord(input, report, options) {
+  const start = Date.now();
+  const result = await convertLesson(input.url, {
+    ...options,
+    message: input.message,
+    format: input.format,
+    reviewer: input.reviewer,
+    mathDialect: input.mathDialect,
+    columnLayout: input.columnLayout,
+    diff: input.diff,
+    assessmentFormats: parseList(input.assessments),
+    workspaceDir: workspaceDirOf(input.workspaces),
+  });
+  const { pageUrl, title, document, unhandledTypes, unchanged } = result;
+  report.addLesson({
+    url: input.url,
+    pageUrl,
+    title,
+    status: unchanged ? 'unchanged' : 'done',
+    durationMs: Date.now() - start,
+    components: countComponents(document?.components),
+    unhandledTypes,
+  });
+  return result;
+}
+
+try {
+  configureLogFromEnv();
+  // Extra component renderers, one module per type (see lib/renderers/index.mjs)
+  await loadRenderers(process.env.RENDERERS_DIR || 'renderers');
+  await run(parseInput(process.argv.slice(2)));
+} catch (err) {
+  const category = errorCategory(err);
+  log.error(`❌ Failed${category ? ` (${category})` : ''}: ${err.message}`, { exitCode: exitCodeFor(err) });
+  process.exitCode = exitCodeFor(err);
+}
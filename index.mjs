@@ -0,0 +1,407 @@
+/**
+ * Lesson-to-Markdown converter for the n8n feedback workflow.
+ *
+ * Importing this module has no side effects: no browser is launched, no
+ * renderer directory is loaded and nothing is sent anywhere until one of the
+ * functions below is called.
+ *
+ *   const { course, pageUrl } = await resolveLesson(lessonUrl, { headers });
+ *   const markdown = renderLessonMarkdown(await fetchLesson(pageUrl, { headers }));
+ */
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { JSDOM } from 'jsdom';
+import fetch from 'node-fetch';
+import { assessmentFields, extractAssessments } from './lib/assessments.mjs';
+import { collectAssets } from './lib/assets.mjs';
+import { hashJson } from './lib/cache.mjs';
+import { DIFF_MODES, diffLessonDocuments } from './lib/diff.mjs';
+import { categorizedError, withCategory } from './lib/errors.mjs';
+import { fetchHtmlWithPuppeteer, fetchJsonText } from './lib/browser.mjs';
+import { exportCourse } from './lib/course.mjs';
+import { buildCourseReport, courseReportMarkdown } from './lib/course_report.mjs';
+import { renderLesson } from './lib/lesson.mjs';
+import { courseApiUrl, findLessonPage, parseLessonUrl } from './lib/resolver.mjs';
+import { resolveLazyComponents } from './lib/lazy.mjs';
+import { log } from './lib/log.mjs';
+import { lintLesson } from './lib/lint.mjs';
+import { checkLinks, collectLinks } from './lib/links.mjs';
+import { isSessionExpired } from './lib/session.mjs';
+import { buildPayload, sendToSinks } from './lib/sinks.mjs';
+import { buildLessonDocument, outputFields } from './lib/structured.mjs';
+import { findPageById } from './lib/toc.mjs';
+import { writeWorkspaces } from './lib/workspaces.mjs';
+
+export { ASSESSMENT_FORMATS, extractAssessments, toGift, toMoodleXml, toQtiPackage, writeAssessments } from './lib/assessments.mjs';
+export { createHostRateLimiter, readJobs, runBatch } from './lib/batch.mjs';
+export { collectAssets, downloadAssets, localizeAssets, rewriteAssetLinks } from './lib/assets.mjs';
+export { launchBrowser } from './lib/browser.mjs';
+export { createCache } from './lib/cache.mjs';
+export { createDiagnostics } from './lib/diagnostics.mjs';
+export { diffComponents, diffLessonDocuments, formatDiffReport } from './lib/diff.mjs';
+export { createBrowserPool } from './lib/browser_pool.mjs';
+export { exportCourse } from './lib/course.mjs';
+export { buildCourseReport, courseReportMarkdown } from './lib/course_report.mjs';
+export { ERROR_CATEGORIES, errorCategory, exitCodeFor } from './lib/errors.mjs';
+export { findPageById, findSlugByTitle, listCoursePages } from './lib/toc.mjs';
+export { loadHeaders, mergeCookies } from './lib/headers.mjs';
+export { renderLesson } from './lib/lesson.mjs';
+export { resolveLazyComponents } from './lib/lazy.mjs';
+export { lintCourse, lintLesson } from './lib/lint.mjs';
+export { checkLinks, collectLinks, createLinkChecker, linkFindings, loadLinkRules, relativizeLinks } from './lib/links.mjs';
+export { createLogger, log, redact } from './lib/log.mjs';
+export { renderLessonFile, checkGoldenFiles } from './lib/offline.mjs';
+export { courseApiUrl, findLessonPage, parseLessonUrl } from './lib/resolver.mjs';
+export { countComponents, createRunReport } from './lib/run_report.mjs';
+export { checkSession, isSessionExpired, loadCookieFile } from './lib/session.mjs';
+export { loadRenderers, registerRenderer } from './lib/renderers/index.mjs';
+export { buildLessonDocument, outputFields } from './lib/structured.mjs';
+export { extractWorkspaces, writeWorkspaces } from './lib/workspaces.mjs';
+export { buildPayload, createSinks, createSinksFromEnv, loadSinkConfig, sendToSinks } from './lib/sinks.mjs';
+
+/**
+ * Read the page metadata that links a lesson page to its course: `<title>`,
+ * description and `og:image`, whose URL up to `/image` is the course API URL.
+ */
+export function parsePageMetadata(html) {
+  const document = new JSDOM(html).window.document;
+  const title = document.querySelector('title');
+  const ogImage = document.querySelector('meta[property="og:image"]');
+  const description = document.querySelector('meta[name="description"]');
+  const ogTitle = document.querySelector('meta[property="og:title"]');
+  const ogImageUrl = ogImage?.getAttribute('content') || '';
+
+  return {
+    title: title?.textContent || '',
+    description: description?.getAttribute('content') || '',
+    ogImage: ogImageUrl,
+    baseImagePath: ogImageUrl.split('/image')[0],
+    ogTitle: ogTitle?.getAttribute('content') || '',
+  };
+}
+
+/**
+ * Download the course JSON (TOC, metadata), over plain HTTP when possible and
+ * through Chromium when Cloudflare insists; see fetchJsonText().
+ * @param {string} courseUrl - Course API URL, e.g. `https://…/api/collection/<author>/<id>`
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Request headers, see loadHeaders()
+ * @param {Object} [options.browser] - Browser pool or shared browser for the Chromium fallback
+ * @param {Object} [options.diagnostics] - From createDiagnostics(); records the exchange
+ * @param {string} [options.saveAs] - Also write the JSON to this file
+ * @returns {Promise<Object>}
+ * @throws {Error} in the `json-parse` category when the response is not JSON
+ */
+export async function fetchCourse(courseUrl, { headers = {}, browser, diagnostics, saveAs } = {}) {
+  const rawJson = await fetchJsonText(courseUrl, { headers, browser, diagnostics });
+  let course;
+  try {
+    course = JSON.parse(rawJson);
+  } catch (err) {
+    throw categorizedError('json-parse', `Course at ${courseUrl} did not return JSON: ${err.message}`, { url: courseUrl });
+  }
+  if (saveAs) await writeFile(saveAs, JSON.stringify(course, null, 2), 'utf-8');
+  return course;
+}
+
+// Fetch and parse one JSON endpoint with the session, for deferred components
+const jsonFetcher = ({ headers = {}, browser, diagnostics } = {}) => async url => {
+  const body = await fetchJsonText(url, { headers, browser, diagnostics });
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw categorizedError('json-parse', `Deferred component at ${url} did not return JSON: ${err.message}`, { url });
+  }
+};
+
+/**
+ * Download one lesson's JSON (`summary` and `components`), with its
+ * `LazyLoadPlaceholder` components replaced by the components they defer;
+ * see resolveLazyComponents().
+ * @param {string} pageUrl - `<courseUrl>/page/<pageId>`
+ * @param {Object} [options]
+ * @param {Object} [options.headers]
+ * @param {Object} [options.browser] - Browser pool or shared browser for the Chromium fallback
+ * @param {Object} [options.diagnostics] - From createDiagnostics(); records the exchanges
+ * @returns {Promise<Object>}
+ * @throws {Error} with `code: 'SESSION_EXPIRED'` on a login redirect, or a 401/403 or challenge page Chromium
+ *   can't get past either; in the `json-parse` category when the response is not JSON
+ */
+export async function fetchLesson(pageUrl, { headers = {}, browser, diagnostics } = {}) {
+  const body = await fetchJsonText(pageUrl, { headers, browser, diagnostics });
+  let json;
+  try {
+    json = JSON.parse(body);
+  } catch (err) {
+    throw categorizedError('json-parse', `Lesson at ${pageUrl} did not return JSON: ${err.message}`, { url: pageUrl });
+  }
+  return resolveLazyComponents(json, { pageUrl, fetchJson: jsonFetcher({ headers, browser, diagnostics }) });
+}
+
+/**
+ * Download an image or other lesson asset. The session's headers, cookies
+ * included, are only sent to the platform itself: an image an author links
+ * from another host gets a plain GET.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.headers]
+ * @param {string} [options.sessionOrigin] - URL on the platform, e.g. the course API URL; without it
+ *   no headers are sent
+ * @returns {Promise<{ body: Buffer, contentType: string }>}
+ */
+export async function fetchAsset(url, { headers = {}, sessionOrigin } = {}) {
+  const onPlatform = Boolean(sessionOrigin) && new URL(url).origin === new URL(sessionOrigin).origin;
+  const res = await fetch(url, { method: 'GET', headers: onPlatform ? headers : {} });
+  if (!res.ok) throw new Error(`Failed to fetch: ${res.status} ${res.statusText}`);
+  return { body: Buffer.from(await res.arrayBuffer()), contentType: res.headers.get('content-type') || '' };
+}
+
+// Page metadata from the course alone, for URLs resolved without rendering the page
+function metadataFromCourse(course, page, courseUrl) {
+  const details = course.instance.details;
+  const ogImage = details.cover_image_id ? `${courseUrl}/image/${details.cover_image_id}` : '';
+  return { title: page.title, description: page.summary || '', ogImage, baseImagePath: courseUrl, ogTitle: details.title || '' };
+}
+
+/**
+ * Work out which course and page a lesson URL points to; see parseLessonUrl()
+ * for the URL shapes understood. A URL that names the course (collection
+ * paths, or a course slug already in the `cache`) is resolved from the course
+ * JSON alone; any other is rendered in Chromium for the course link in its
+ * metadata. The page is then matched on the id or slug in the URL, or on the
+ * page title when the URL has neither.
+ *
+ * Limitation: a `/courses/<course-slug>/…` URL is still rendered the first
+ * time its course is seen. No API endpoint from a course slug to its author
+ * and collection ids is known, so the slug is only resolved from the cache,
+ * which learns it from the course JSON's `url_slug` once the course is fetched.
+ * @param {string} url - Lesson URL as opened in a browser
+ * @param {Object} [options]
+ * @param {Object} [options.headers]
+ * @param {Object} [options.browser]
+ * @param {Object} [options.cache] - From createCache(); knows the courses fetched before by slug
+ * @param {string} [options.saveCourseAs] - Also write the course JSON to this file
+ * @param {Object} [options.diagnostics] - From createDiagnostics(); records the page and exchanges
+ * @returns {Promise<{ metadata: Object, courseUrl: string, course: Object, pageId: number, pageUrl: string }>}
+ * @throws {Error} in the `slug-not-found` category when the page is not in the course TOC, and
+ *   `ambiguous-page` when its title (or slug) matches several lessons
+ */
+export async function resolveLesson(url, { headers = {}, browser, cache, saveCourseAs, diagnostics } = {}) {
+  const ref = parseLessonUrl(url);
+  let courseUrl = null;
+  if (ref.authorId) {
+    courseUrl = courseApiUrl(ref.origin, ref.authorId, ref.collectionId);
+  } else if (ref.courseSlug && cache) {
+    const known = await cache.findCourse(ref.courseSlug);
+    if (known) courseUrl = courseApiUrl(ref.origin, known.authorId, known.collectionId);
+  }
+
+  let metadata = null;
+  if (courseUrl) {
+    log.info(`⏩ The URL names the course; not rendering ${url}`);
+  } else {
+    metadata = parsePageMetadata(await fetchHtmlWithPuppeteer(url, headers, browser, { diagnostics }));
+    courseUrl = metadata.baseImagePath;
+  }
+  const course = await fetchCourse(courseUrl, { headers, browser, diagnostics, saveAs: saveCourseAs });
+
+  const byUrl = ref.pageId || ref.lessonSlug ? { pageId: ref.pageId, lessonSlug: ref.lessonSlug, url } : null;
+  let found;
+  try {
+    found = findLessonPage(course, byUrl ?? { title: metadata.title, url });
+  } catch (err) {
+    // A slug path that isn't a TOC slug can still be matched on the rendered title
+    if (!byUrl || !metadata || err.category !== 'slug-not-found') throw err;
+    found = findLessonPage(course, { title: metadata.title, url });
+  }
+  const pageId = found.page.id;
+  return {
+    metadata: metadata ?? metadataFromCourse(course, found.page, courseUrl),
+    courseUrl,
+    course,
+    pageId,
+    pageUrl: `${courseUrl}/page/${pageId}`,
+  };
+}
+
+/**
+ * Render lesson JSON to a single Markdown document.
+ * @param {Object} json - Lesson JSON from fetchLesson()
+ * @param {Object} [options] - See renderLesson()
+ * @returns {string}
+ */
+export function renderLessonMarkdown(json, options) {
+  return renderLesson(json, options).markdown;
+}
+
+async function reportSessionExpired(sinks, { url, message, err }) {
+  try {
+    await sendToSinks(sinks, buildPayload({
+      message,
+      url,
+      error: { code: err.code, reason: err.reason, url: err.url, message: err.message },
+    }));
+  } catch (sinkErr) {
+    log.warn('⚠️ Could not report the expired session', { error: sinkErr.message });
+  }
+}
+
+/**
+ * Resolve, fetch and render one lesson, then send it to the sinks.
+ * @param {string} url - Lesson URL
+ * @param {Object} options
+ * @param {string} [options.message] - Passed through to the sink payload
+ * @param {Array} [options.sinks] - From createSinks(); nothing is sent when empty
+ * @param {string} [options.format] - `markdown` (default), `json` or `both`; see outputFields()
+ * @param {boolean} [options.reviewer] - Include hidden solutions and files; see renderLesson()
+ * @param {string} [options.mathDialect] - `github`, `mathjax` or `mathml`; see renderLesson()
+ * @param {string} [options.columnLayout] - `sections` or `html`; see renderLesson()
+ * @param {Object} [options.cache] - From createCache(); a lesson already sent unchanged (same
+ *   lesson JSON, message, sinks and render options) is not sent again, nor fetched again at the same revision
+ * @param {boolean} [options.force] - Ignore the cache: fetch, render and send regardless
+ * @param {string} [options.diff] - `replace` or `alongside`: compare with the render last sent (from
+ *   the cache) and send the diff report (`diffMarkdown`, `diffReport`) instead of or next to the lesson
+ * @param {string[]} [options.assessmentFormats] - Also send the lesson's questions as
+ *   `assessments: { gift, moodleXml, qti }` (QTI base64-encoded); see writeAssessments()
+ * @param {string} [options.workspaceDir] - Also write the code widgets to `<workspaceDir>/<page slug>/`,
+ *   syntax-check them and send the results as `codeChecks`; see writeWorkspaces()
+ * @param {Object} [options.linkChecker] - From createLinkChecker(); checks the external links too
+ * @returns {Promise<Object>} Page metadata plus `pageUrl`, `markdown`, `document`, `findings`,
+ *   `assets` (see collectAssets()), `links` (see collectLinks()), `unhandledTypes`, `codeChecks` with `workspaceDir`, `diff` in diff mode,
+ *   and `unchanged` when the send was skipped
+ * @throws {Error} A session-expired error is sent to the sinks as `{ error, message }` before it is thrown
+ */
+export async function convertLesson(url, { message, sinks = [], format = 'markdown', reviewer, mathDialect, columnLayout, cache, force = false, diff, assessmentFormats = [], workspaceDir, linkChecker, ...options } = {}) {
+  if (diff && !DIFF_MODES.includes(diff)) {
+    throw new Error(`Unknown diff mode "${diff}" (expected ${DIFF_MODES.join(', ')})`);
+  }
+  let resolved, json, cached;
+  try {
+    resolved = await resolveLesson(url, { ...options, cache });
+    log.info(`🔗 ${resolved.pageUrl}`);
+    if (cache) {
+      await cache.writeCourse(resolved.course);
+      cached = await cache.readLesson(resolved.course, resolved.pageId);
+    }
+    // A cached lesson may still hold placeholders that failed last time
+    json = cached?.fresh && !force
+      ? await resolveLazyComponents(cached.lesson, { pageUrl: resolved.pageUrl, fetchJson: jsonFetcher(options) })
+      : await fetchLesson(resolved.pageUrl, options);
+  } catch (err) {
+    if (isSessionExpired(err)) await reportSessionExpired(sinks, { url, message, err });
+    throw err;
+  }
+  const { metadata, courseUrl, course, pageId, pageUrl } = resolved;
+
+  const hash = hashJson(json);
+  // The same lesson with another message, or to another sink, is a new send
+  const sentKey = hashJson({
+    hash, message, sinks: sinks.map(sink => sink.target || sink.name),
+    format, reviewer: Boolean(reviewer), mathDialect: mathDialect || 'github', columnLayout: columnLayout || 'sections', assessmentFormats, workspaces: Boolean(workspaceDir),
+  });
+  if (!force && cached?.sentKey === sentKey) {
+    log.info(`♻️ Lesson ${pageId} has not changed since it was last sent; not sending it again.`);
+    if (!cached.fresh) await cache.writeLesson(course, pageId, cached);
+    return { ...metadata, pageUrl, ...cached.result, unchanged: true };
+  }
+
+  let rendered;
+  try {
+    rendered = renderLesson(json, { title: metadata.title, reviewer, mathDialect, columnLayout });
+  } catch (err) {
+    throw withCategory(err, 'render');
+  }
+  const document = buildLessonDocument(rendered, { course, pageId });
+  let links = collectLinks(rendered, { course, baseUrl: courseUrl });
+  if (linkChecker) links = await checkLinks(links, linkChecker);
+  const findings = lintLesson(json, rendered, { course, links });
+  const assets = collectAssets(rendered, { baseUrl: courseUrl, courseImage: metadata.ogImage });
+  const questions = assessmentFormats.length ? extractAssessments(json, { title: metadata.title }) : [];
+  const codeChecks = workspaceDir
+    ? await writeWorkspaces(json, { dir: join(workspaceDir, findPageById(course, pageId)?.page.slug || String(pageId)), root: workspaceDir })
+    : undefined;
+
+  // Diff against the render that was last sent
+  const previous = diff ? cached?.result?.document : null;
+  const changes = previous ? diffLessonDocuments(previous, document) : null;
+  if (diff && !previous) log.info('ℹ️ No earlier render of this lesson in the cache; sending the full lesson.');
+
+  await sendToSinks(sinks, buildPayload({
+    ...(diff === 'replace' && changes ? {} : outputFields({ markdown: rendered.markdown, document }, format)),
+    ...(changes && { diffMarkdown: changes.markdown, diffReport: changes.report }),
+    message,
+    findings,
+    assets,
+    links,
+    unhandledTypes: rendered.unhandled,
+    ...(assessmentFormats.length && {
+      assessments: assessmentFields(questions, assessmentFormats, { category: metadata.title }),
+    }),
+    ...(codeChecks && { codeChecks }),
+  }));
+  const result = { markdown: rendered.markdown, document, findings, assets, links, unhandledTypes: rendered.unhandled, codeChecks };
+  if (cache) await cache.writeLesson(course, pageId, { hash, lesson: json, result, sentKey });
+  return { ...metadata, pageUrl, ...result, diff: changes, unchanged: false };
+}
+
+/**
+ * Export every lesson of the course a lesson URL belongs to; see exportCourse().
+ * With `downloadAssets`, lesson images are saved next to the Markdown too.
+ * With a `cache`, lessons unchanged at the course's current revision are read
+ * from it instead of downloaded, unless `force` is set.
+ */
+export async function exportCourseFromUrl(url, { outDir, format, reviewer, mathDialect, columnLayout, downloadAssets, assessmentFormats, workspaces, linkChecker, cache, force = false, ...options }) {
+  const { metadata, courseUrl, course } = await resolveLesson(url, { ...options, cache });
+  if (cache) await cache.writeCourse(course);
+
+  const fetchLessonCached = async (pageUrl, page) => {
+    const cached = cache && !force ? await cache.readLesson(course, page.id) : null;
+    const json = cached?.fresh
+      ? await resolveLazyComponents(cached.lesson, { pageUrl, fetchJson: jsonFetcher(options) })
+      : await fetchLesson(pageUrl, options);
+    if (cache && json !== cached?.lesson) {
+      await cache.writeLesson(course, page.id, { ...cached, hash: hashJson(json), lesson: json });
+    }
+    return json;
+  };
+
+  return exportCourse(course, {
+    baseUrl: courseUrl,
+    outDir,
+    format,
+    reviewer,
+    mathDialect,
+    columnLayout,
+    courseImage: metadata.ogImage,
+    assessmentFormats,
+    workspaces,
+    linkChecker,
+    fetchLesson: fetchLessonCached,
+    fetchAsset: downloadAssets ? assetUrl => fetchAsset(assetUrl, { headers: options.headers, sessionOrigin: courseUrl }) : undefined,
+  });
+}
+
+/**
+ * Build the overview of a course (see buildCourseReport()) and send it to the
+ * sinks as `courseReport` (JSON) and `fullMarkdown`, the starting point for a
+ * course-level review.
+ * @param {Object} course - Course JSON, e.g. from fetchCourse() or `.cache/<course id>/course.json`
+ * @param {Object} [options]
+ * @param {string} [options.message] - Passed through to the sink payload
+ * @param {string} [options.url] - Passed through to the sink payload
+ * @param {Array} [options.sinks] - From createSinks(); nothing is sent when empty
+ * @returns {Promise<{ report: Object, markdown: string }>}
+ */
+export async function sendCourseReport(course, { message, url, sinks = [] } = {}) {
+  const report = buildCourseReport(course);
+  const markdown = courseReportMarkdown(report);
+  await sendToSinks(sinks, buildPayload({ message, url, fullMarkdown: markdown, courseReport: report }));
+  return { report, markdown };
+}
+
+/** sendCourseReport() for the course a lesson URL belongs to. */
+export async function courseReportFromUrl(url, { message, sinks, cache, ...options } = {}) {
+  const { course } = await resolveLesson(url, { ...options, cache });
+  if (cache) await cache.writeCourse(course);
+  return sendCourseReport(course, { message, url, sinks });
+}
@@ -0,0 +1,89 @@
+import express from 'express';
+import { ASSESSMENT_FORMATS } from './assessments.mjs';
+import { DIFF_MODES } from './diff.mjs';
+import { MATH_DIALECTS } from './math.mjs';
+import { COLUMN_LAYOUTS } from './renderers/columns.mjs';
+import { OUTPUT_FORMATS } from './structured.mjs';
+
+// Credentials stay out of the job as reported back to pollers
+function publicJob(job) {
+  const { input, ...rest } = job;
+  return { ...rest, url: input.url, message: input.message };
+}
+
+/**
+ * The HTTP API of the service: `POST /jobs` validates a conversion request and
+ * queues it, `GET /jobs/:id` reports on it and `GET /health` on the queue and
+ * browser. Running the jobs is up to the queue's worker.
+ * @param {Object} options
+ * @param {Object} options.queue - From createJobQueue()
+ * @param {Object} [options.browser] - From createBrowserPool(), for `/health`
+ * @returns {import('express').Express}
+ */
+export function createApp({ queue, browser }) {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.post('/jobs', (req, res) => {
+    const { url, message, headersJson, cookieArgs, format = 'markdown', reviewer = false, mathDialect = 'github', columnLayout = 'sections', assessments = [], workspaces = false, checkLinks = false, force = false, diff } = req.body || {};
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: '"url" is required' });
+    }
+    try {
+      if (!/^https?:$/.test(new URL(url).protocol)) throw new Error('not http(s)');
+    } catch {
+      return res.status(400).json({ error: '"url" must be an http(s) URL' });
+    }
+    if (headersJson) {
+      try {
+        JSON.parse(headersJson);
+      } catch (err) {
+        return res.status(400).json({ error: `Invalid Headers JSON: ${err.message}` });
+      }
+    }
+
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `"format" must be one of ${OUTPUT_FORMATS.join(', ')}` });
+    }
+    if (typeof reviewer !== 'boolean') {
+      return res.status(400).json({ error: '"reviewer" must be true or false' });
+    }
+    if (!MATH_DIALECTS.includes(mathDialect)) {
+      return res.status(400).json({ error: `"mathDialect" must be one of ${MATH_DIALECTS.join(', ')}` });
+    }
+    if (!COLUMN_LAYOUTS.includes(columnLayout)) {
+      return res.status(400).json({ error: `"columnLayout" must be one of ${COLUMN_LAYOUTS.join(', ')}` });
+    }
+    if (!Array.isArray(assessments) || !assessments.every(f => ASSESSMENT_FORMATS.includes(f))) {
+      return res.status(400).json({ error: `"assessments" must be a list of ${ASSESSMENT_FORMATS.join(', ')}` });
+    }
+    if (typeof workspaces !== 'boolean') {
+      return res.status(400).json({ error: '"workspaces" must be true or false' });
+    }
+    if (typeof checkLinks !== 'boolean') {
+      return res.status(400).json({ error: '"checkLinks" must be true or false' });
+    }
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({ error: '"force" must be true or false' });
+    }
+    if (diff !== undefined && !DIFF_MODES.includes(diff)) {
+      return res.status(400).json({ error: `"diff" must be one of ${DIFF_MODES.join(', ')}` });
+    }
+
+    const job = queue.submit({ url, message, headersJson, cookieArgs, format, reviewer, mathDialect, columnLayout, assessments, workspaces, checkLinks, force, diff });
+    res.status(202).location(`/jobs/${job.id}`).json({ id: job.id, status: job.status });
+  });
+
+  app.get('/jobs/:id', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Unknown job id' });
+    res.json(publicJob(job));
+  });
+
+  app.get('/health', (req, res) => {
+    const { browser: browserState, ...pages } = browser?.stats() ?? { browser: 'idle' };
+    res.json({ status: 'ok', ...queue.stats(), browser: browserState, pages });
+  });
+
+  return app;
+}
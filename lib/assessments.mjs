@@ -0,0 +1,325 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { walkComponents } from './lesson.mjs';
+import { createZip } from './zip.mjs';
+
+/**
+ * Export Quiz, MatchTheAnswers and Permutation components to LMS formats:
+ * GIFT, Moodle XML and a QTI 2.1 content package. Components are first
+ * turned into format-neutral questions:
+ *
+ *   { kind: 'multichoice', name, text, options: [{ text, correct, feedback }], feedback }
+ *   { kind: 'matching', name, text, pairs: [{ left, right, feedback }] }
+ *   { kind: 'ordering', name, text, items: [...] }   items in the correct order
+ *
+ * Question text stays Markdown; GIFT and Moodle XML mark it as such.
+ */
+export const ASSESSMENT_FORMATS = ['gift', 'moodle', 'qti'];
+
+function explanationText(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.trim();
+  return (value.mdText || value.text || value.html || '').trim();
+}
+
+const extractors = {
+  Quiz(content, name) {
+    return (content.questions || []).map((q, i) => ({
+      kind: 'multichoice',
+      name: `${name} Q${i + 1}`,
+      text: q.questionText || '',
+      feedback: explanationText(q.explanation),
+      options: (q.questionOptions || []).map(opt => ({
+        text: opt.text || '',
+        correct: Boolean(opt.correct),
+        feedback: explanationText(opt.explanation),
+      })),
+    }));
+  },
+
+  MatchTheAnswers(content, name) {
+    const pairs = (content.content?.statements?.[0] || [])
+      .map(pair => ({
+        left: pair.left?.text?.trim() || '',
+        right: pair.right?.text?.trim() || '',
+        feedback: explanationText(pair.explanation),
+      }))
+      .filter(pair => pair.left && pair.right);
+    return pairs.length ? [{ kind: 'matching', name, text: content.title || 'Match the answers.', pairs }] : [];
+  },
+
+  Permutation(content, name) {
+    const byId = Object.fromEntries((content.options || []).map(opt => [opt.hashid, opt.content?.data?.trim() || '']));
+    const items = (content.protected_content || []).map(id => byId[id]).filter(Boolean);
+    return items.length
+      ? [{ kind: 'ordering', name, text: content.question_statement || 'Reorder the following steps:', items }]
+      : [];
+  },
+};
+
+/**
+ * Questions from the assessment components of one lesson, also those inside
+ * `Columns`.
+ * @param {Object} json - Lesson JSON
+ * @param {Object} [options]
+ * @param {string} [options.title] - Lesson title, used to name the questions
+ * @returns {Array<Object>}
+ */
+export function extractAssessments(json, { title } = {}) {
+  const lessonTitle = json.summary?.title ?? title ?? 'Lesson';
+  const counts = {};
+  return walkComponents(json.components).flatMap(({ component }) => {
+    const extract = extractors[component.type];
+    if (!extract) return [];
+    counts[component.type] = (counts[component.type] || 0) + 1;
+    const label = { Quiz: 'Quiz', MatchTheAnswers: 'Matching', Permutation: 'Ordering' }[component.type];
+    return extract(component.content || {}, `${lessonTitle} – ${label} ${counts[component.type]}`);
+  });
+}
+
+// --- GIFT ---
+
+const giftEscape = text => String(text).replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+
+function giftFeedback(text) {
+  return text ? ` #${giftEscape(text)}` : '';
+}
+
+function giftQuestion(q) {
+  const head = `::${giftEscape(q.name)}::[markdown]${giftEscape(q.text)}`;
+  const general = q.feedback ? `\n####${giftEscape(q.feedback)}` : '';
+
+  if (q.kind === 'multichoice') {
+    const correct = q.options.filter(o => o.correct).length;
+    const answers = q.options.map(o => {
+      if (correct <= 1) return `\t${o.correct ? '=' : '~'}${giftEscape(o.text)}${giftFeedback(o.feedback)}`;
+      // Several right answers: split the credit, penalise wrong picks
+      const weight = o.correct ? +(100 / correct).toFixed(5) : -100;
+      return `\t~%${weight}%${giftEscape(o.text)}${giftFeedback(o.feedback)}`;
+    });
+    return `${head} {\n${answers.join('\n')}${general}\n}`;
+  }
+  if (q.kind === 'matching') {
+    const answers = q.pairs.map(p => `\t=${giftEscape(p.left)} -> ${giftEscape(p.right)}`);
+    return `${head} {\n${answers.join('\n')}${general}\n}`;
+  }
+  // GIFT has no ordering type; match each step to its position instead
+  const answers = q.items.map((item, i) => `\t=${giftEscape(item)} -> ${i + 1}`);
+  return `${head} {\n${answers.join('\n')}${general}\n}`;
+}
+
+/**
+ * @param {Array<Object>} questions - From extractAssessments()
+ * @param {Object} [options]
+ * @param {string} [options.category] - Written as a `$CATEGORY:` line first
+ * @returns {string}
+ */
+export function toGift(questions, { category } = {}) {
+  const blocks = questions.map(giftQuestion);
+  if (category) blocks.unshift(`$CATEGORY: ${category}`);
+  return blocks.join('\n\n') + '\n';
+}
+
+// --- Moodle XML ---
+
+const xmlEscape = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const moodleText = (tag, text, format = 'markdown') =>
+  `<${tag} format="${format}"><text>${xmlEscape(text)}</text></${tag}>`;
+
+function moodleQuestion(q) {
+  const head = [
+    `<name><text>${xmlEscape(q.name)}</text></name>`,
+    moodleText('questiontext', q.text),
+    moodleText('generalfeedback', q.feedback || ''),
+  ];
+
+  if (q.kind === 'multichoice') {
+    const correct = q.options.filter(o => o.correct).length;
+    const answers = q.options.map(o => {
+      const fraction = o.correct ? +(100 / Math.max(correct, 1)).toFixed(5) : (correct > 1 ? -100 : 0);
+      return `<answer fraction="${fraction}" format="markdown"><text>${xmlEscape(o.text)}</text>${moodleText('feedback', o.feedback)}</answer>`;
+    });
+    return `<question type="multichoice">\n  ${[...head,
+      `<single>${correct > 1 ? 'false' : 'true'}</single>`,
+      '<shuffleanswers>true</shuffleanswers>',
+      '<answernumbering>abc</answernumbering>',
+      ...answers].join('\n  ')}\n</question>`;
+  }
+  if (q.kind === 'matching') {
+    const subquestions = q.pairs.map(p =>
+      `<subquestion format="markdown"><text>${xmlEscape(p.left)}</text><answer><text>${xmlEscape(p.right)}</text></answer></subquestion>`);
+    return `<question type="matching">\n  ${[...head, '<shuffleanswers>true</shuffleanswers>', ...subquestions].join('\n  ')}\n</question>`;
+  }
+  // qtype_ordering (core since Moodle 4.4): answers listed in the correct order
+  const answers = q.items.map(item => `<answer fraction="1" format="markdown"><text>${xmlEscape(item)}</text></answer>`);
+  return `<question type="ordering">\n  ${[...head, '<layouttype>VERTICAL</layouttype>', '<selecttype>ALL</selecttype>', ...answers].join('\n  ')}\n</question>`;
+}
+
+/**
+ * @param {Array<Object>} questions - From extractAssessments()
+ * @param {Object} [options]
+ * @param {string} [options.category] - Moodle question category path
+ * @returns {string}
+ */
+export function toMoodleXml(questions, { category } = {}) {
+  const parts = questions.map(moodleQuestion);
+  if (category) {
+    parts.unshift(`<question type="category">\n  <category><text>$course$/${xmlEscape(category)}</text></category>\n</question>`);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n${parts.join('\n')}\n</quiz>\n`;
+}
+
+// --- QTI 2.1 ---
+
+const QTI_NS = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"';
+
+function qtiItem(q, id) {
+  const prompt = `<prompt>${xmlEscape(q.text)}</prompt>`;
+  let cardinality;
+  let baseType;
+  let correct;
+  let interaction;
+
+  if (q.kind === 'multichoice') {
+    const right = q.options.map((o, i) => o.correct && `C${i + 1}`).filter(Boolean);
+    cardinality = right.length > 1 ? 'multiple' : 'single';
+    baseType = 'identifier';
+    correct = right;
+    interaction = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="true" maxChoices="${right.length > 1 ? 0 : 1}">\n      ${prompt}\n${
+      q.options.map((o, i) => `      <simpleChoice identifier="C${i + 1}">${xmlEscape(o.text)}</simpleChoice>`).join('\n')}\n    </choiceInteraction>`;
+  } else if (q.kind === 'matching') {
+    cardinality = 'multiple';
+    baseType = 'directedPair';
+    correct = q.pairs.map((_, i) => `L${i + 1} R${i + 1}`);
+    interaction = `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${q.pairs.length}">\n      ${prompt}\n      <simpleMatchSet>\n${
+      q.pairs.map((p, i) => `        <simpleAssociableChoice identifier="L${i + 1}" matchMax="1">${xmlEscape(p.left)}</simpleAssociableChoice>`).join('\n')}\n      </simpleMatchSet>\n      <simpleMatchSet>\n${
+      q.pairs.map((p, i) => `        <simpleAssociableChoice identifier="R${i + 1}" matchMax="1">${xmlEscape(p.right)}</simpleAssociableChoice>`).join('\n')}\n      </simpleMatchSet>\n    </matchInteraction>`;
+  } else {
+    cardinality = 'ordered';
+    baseType = 'identifier';
+    correct = q.items.map((_, i) => `S${i + 1}`);
+    interaction = `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">\n      ${prompt}\n${
+      q.items.map((item, i) => `      <simpleChoice identifier="S${i + 1}">${xmlEscape(item)}</simpleChoice>`).join('\n')}\n    </orderInteraction>`;
+  }
+
+  // QTI items carry one explanation, shown after answering; per-option ones are folded into it
+  const explanation = [
+    q.feedback,
+    ...(q.options || []).filter(o => o.feedback).map(o => `${o.text}: ${o.feedback}`),
+    ...(q.pairs || []).filter(p => p.feedback).map(p => `${p.left}: ${p.feedback}`),
+  ].filter(Boolean).join('\n');
+  const processing = explanation
+    ? `<responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>
+  </responseProcessing>
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${xmlEscape(explanation)}</modalFeedback>`
+    : '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NS} identifier="${id}" title="${xmlEscape(q.name)}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">
+    <correctResponse>
+${correct.map(value => `      <value>${value}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${interaction}
+  </itemBody>
+  ${processing}
+</assessmentItem>
+`;
+}
+
+/**
+ * A QTI 2.1 content package (zip with `imsmanifest.xml` and one item per question).
+ * @param {Array<Object>} questions - From extractAssessments()
+ * @returns {Buffer}
+ */
+export function toQtiPackage(questions) {
+  const items = questions.map((q, i) => ({ id: `item${i + 1}`, q, file: `items/item${i + 1}.xml` }));
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-1">
+  <metadata>
+    <schema>IMS Content</schema>
+    <schemaversion>1.1.3</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${items.map(({ id, file }) => `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="${file}">
+      <file href="${file}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+  return createZip([
+    { name: 'imsmanifest.xml', data: manifest },
+    ...items.map(({ id, q, file }) => ({ name: file, data: qtiItem(q, id) })),
+  ]);
+}
+
+/**
+ * The questions in each requested format, for a sink payload:
+ * `{ gift, moodleXml, qti }` with the QTI package base64-encoded.
+ * @param {Array<Object>} questions
+ * @param {string[]} formats - Any of ASSESSMENT_FORMATS
+ * @param {Object} [options]
+ * @param {string} [options.category]
+ */
+export function assessmentFields(questions, formats, { category } = {}) {
+  checkFormats(formats);
+  return {
+    ...(formats.includes('gift') && { gift: toGift(questions, { category }) }),
+    ...(formats.includes('moodle') && { moodleXml: toMoodleXml(questions, { category }) }),
+    ...(formats.includes('qti') && { qti: toQtiPackage(questions).toString('base64') }),
+  };
+}
+
+function checkFormats(formats) {
+  const unknown = formats.filter(f => !ASSESSMENT_FORMATS.includes(f));
+  if (unknown.length) {
+    throw new Error(`Unknown assessment format "${unknown.join(', ')}" (expected ${ASSESSMENT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Write the questions in each requested format into `outDir`:
+ * `questions.gift`, `questions.moodle.xml` and `questions.qti.zip`.
+ * @param {Array<Object>} questions
+ * @param {Object} options
+ * @param {string} options.outDir
+ * @param {string[]} options.formats - Any of ASSESSMENT_FORMATS
+ * @param {string} [options.category] - Question bank category (course title)
+ * @returns {Promise<string[]>} Files written
+ */
+export async function writeAssessments(questions, { outDir, formats, category }) {
+  checkFormats(formats);
+  await mkdir(outDir, { recursive: true });
+
+  const outputs = {
+    gift: ['questions.gift', () => toGift(questions, { category })],
+    moodle: ['questions.moodle.xml', () => toMoodleXml(questions, { category })],
+    qti: ['questions.qti.zip', () => toQtiPackage(questions)],
+  };
+  const written = [];
+  for (const format of formats) {
+    const [name, build] = outputs[format];
+    await writeFile(join(outDir, name), build());
+    written.push(join(outDir, name));
+  }
+  return written;
+}
@@ -0,0 +1,120 @@
+import { createHash } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import { extname, join } from 'path';
+import { log } from './log.mjs';
+
+const MARKDOWN_IMAGE = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const HTML_IMAGE = /<img\b[^>]*?\bsrc=["']([^"']+)["'][^>]*>/gi;
+const HTML_ALT = /\balt=["']([^"']*)["']/i;
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+};
+
+function resolveUrl(src, baseUrl) {
+  if (!baseUrl) return src;
+  try {
+    return new URL(src, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).href;
+  } catch {
+    return src;
+  }
+}
+
+/**
+ * List every image and diagram a rendered lesson links to.
+ * Each asset is `{ src, url, alt, kind, componentType }`: `src` as written in
+ * the Markdown, `url` resolved against `baseUrl`. `kind` is `diagram` for
+ * DrawIOWidget components, `course-image` for the course's og:image and
+ * `image` otherwise. Inline `data:` images are skipped.
+ * @param {Object} rendered - renderLesson() result
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - The course's baseImagePath; relative image paths resolve against it
+ * @param {string} [options.courseImage] - The course og:image, listed first
+ * @returns {Array<Object>}
+ */
+export function collectAssets(rendered, { baseUrl, courseImage } = {}) {
+  const assets = new Map();
+  const add = (src, alt, kind, componentType) => {
+    if (!src || src.startsWith('data:') || assets.has(src)) return;
+    assets.set(src, { src, url: resolveUrl(src, baseUrl), alt, kind, componentType });
+  };
+
+  if (courseImage) add(courseImage, '', 'course-image', null);
+  for (const { type, markdown } of rendered.components) {
+    const kind = type === 'DrawIOWidget' ? 'diagram' : 'image';
+    for (const [, alt, src] of markdown.matchAll(MARKDOWN_IMAGE)) add(src, alt, kind, type);
+    for (const [tag, src] of markdown.matchAll(HTML_IMAGE)) add(src, tag.match(HTML_ALT)?.[1] || '', kind, type);
+  }
+  return [...assets.values()];
+}
+
+function assetFileName(url, contentType) {
+  const hash = createHash('sha1').update(url).digest('hex').slice(0, 12);
+  const type = contentType?.split(';')[0].trim();
+  return `${hash}${EXTENSIONS[type] || extname(url.split(/[?#]/)[0]).toLowerCase()}`;
+}
+
+/**
+ * Download assets into `dir`. Each asset gets a `file` name (a hash of its
+ * URL plus an extension from the content type), or an `error` when it could
+ * not be fetched; one failed image does not stop the rest.
+ * @param {Array<Object>} assets - From collectAssets()
+ * @param {Object} options
+ * @param {string} options.dir - Target folder, created if needed
+ * @param {Function} options.fetchAsset - `url => Promise<{ body: Buffer, contentType: string }>`
+ * @returns {Promise<Array<Object>>} The assets with `file` or `error` set
+ */
+export async function downloadAssets(assets, { dir, fetchAsset }) {
+  await mkdir(dir, { recursive: true });
+  const downloaded = [];
+  for (const asset of assets) {
+    try {
+      const { body, contentType } = await fetchAsset(asset.url);
+      const file = assetFileName(asset.url, contentType);
+      await writeFile(join(dir, file), body);
+      downloaded.push({ ...asset, file });
+    } catch (err) {
+      log.warn(`⚠️ Could not download ${asset.url}`, { error: err.message });
+      downloaded.push({ ...asset, error: err.message });
+    }
+  }
+  return downloaded;
+}
+
+/**
+ * Point the image links in a Markdown string at downloaded copies.
+ * @param {string} markdown
+ * @param {Array<Object>} assets - From downloadAssets(); assets without `file` are left alone
+ * @param {string} [relDir] - Folder of the files relative to the Markdown file
+ * @returns {string}
+ */
+export function rewriteAssetLinks(markdown, assets, relDir = 'assets') {
+  let result = markdown;
+  for (const { src, file } of assets) {
+    if (!file) continue;
+    const local = `${relDir}/${file}`;
+    result = result
+      .split(`](${src})`).join(`](${local})`)
+      .split(`](${src} `).join(`](${local} `)
+      .split(`](<${src}>`).join(`](<${local}>`)
+      .split(`src="${src}"`).join(`src="${local}"`)
+      .split(`src='${src}'`).join(`src='${local}'`);
+  }
+  return result;
+}
+
+/**
+ * Apply rewriteAssetLinks() to a renderLesson() result, both the full
+ * Markdown and each component.
+ */
+export function localizeAssets(rendered, assets, relDir = 'assets') {
+  return {
+    ...rendered,
+    markdown: rewriteAssetLinks(rendered.markdown, assets, relDir),
+    components: rendered.components.map(c => ({ ...c, markdown: rewriteAssetLinks(c.markdown, assets, relDir) })),
+  };
+}
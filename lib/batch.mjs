@@ -0,0 +1,157 @@
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { readFile, rename, writeFile } from 'fs/promises';
+import { categorizedError, errorCategory } from './errors.mjs';
+import { log, redact } from './log.mjs';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a JSONL file of jobs, one `{ url, message, headersJson, cookieArgs, ... }`
+ * object per line; blank lines and lines starting with `#` are skipped. Each
+ * job gets a `key` from its `url` and `message`, so it keeps its state when
+ * lines are added, removed or reordered, or its cookies and headers are
+ * refreshed.
+ * @param {string} file
+ * @returns {Promise<Array<{ key: string, line: number, job: Object }>>}
+ * @throws {Error} in the `json-parse` category for a line that is not a JSON object with a `url`
+ */
+export async function readJobs(file) {
+  const seen = new Map();
+  const jobs = [];
+  (await readFile(file, 'utf-8')).split('\n').forEach((text, i) => {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    let job;
+    try {
+      job = JSON.parse(trimmed);
+    } catch (err) {
+      throw categorizedError('json-parse', `${file}:${i + 1}: ${err.message}`);
+    }
+    if (!job || typeof job.url !== 'string') {
+      throw categorizedError('json-parse', `${file}:${i + 1}: a job needs a "url"`);
+    }
+    // Credentials change between runs without making it another job; the
+    // same URL and message twice is two jobs
+    const hash = createHash('sha1').update(JSON.stringify([job.url, job.message ?? null])).digest('hex').slice(0, 16);
+    const count = (seen.get(hash) || 0) + 1;
+    seen.set(hash, count);
+    jobs.push({ key: count > 1 ? `${hash}-${count}` : hash, line: i + 1, job });
+  });
+  return jobs;
+}
+
+/**
+ * Space out the start of work per host: `wait(url)` resolves once at least
+ * `intervalMs` have passed since the previous start for the same host.
+ * @param {Object} options
+ * @param {number} options.intervalMs
+ */
+export function createHostRateLimiter({ intervalMs }) {
+  const nextStart = new Map();
+  return async function wait(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const at = Math.max(now, nextStart.get(host) ?? 0);
+    nextStart.set(host, at + intervalMs);
+    if (at > now) await sleep(at - now);
+  };
+}
+
+// A line with a `url` that is no http(s) URL fails on its own, not the batch
+function checkJobUrl(url) {
+  let protocol;
+  try {
+    protocol = new URL(url).protocol;
+  } catch {
+    protocol = null;
+  }
+  if (!/^https?:$/.test(protocol)) throw new Error(`"url" must be an http(s) URL, got "${url}"`);
+}
+
+async function readState(file) {
+  if (!existsSync(file)) return { jobs: {} };
+  try {
+    return JSON.parse(await readFile(file, 'utf-8'));
+  } catch (err) {
+    throw categorizedError('json-parse', `Batch state ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Run every job of a JSONL file through `run(job)`, at most `concurrency` at
+ * a time and rate-limited per host, recording each job as `pending`, `done`
+ * or `failed` (with the reason) in a state file. The state is saved after
+ * every change, so a run that is interrupted picks up where it stopped: jobs
+ * already done are skipped, and failed ones too unless `retryFailed` is set.
+ * Credentials are never written to the state file.
+ * @param {string} jobsFile
+ * @param {Object} options
+ * @param {(job: Object) => Promise<any>} options.run - Processes one job; throws to fail it
+ * @param {string} [options.stateFile] - Defaults to `<jobsFile>.state.json`
+ * @param {number} [options.concurrency]
+ * @param {number} [options.hostIntervalMs] - Minimum time between job starts on one host
+ * @param {boolean} [options.retryFailed]
+ * @returns {Promise<{ stateFile: string, total: number, done: number, failed: number, skipped: number,
+ *   failures: Array<{ line: number, url: string, reason: string, category: string|null }> }>}
+ *   `skipped` counts jobs not run because an earlier run already finished them
+ */
+export async function runBatch(jobsFile, { run, stateFile = `${jobsFile}.state.json`, concurrency = 2, hostIntervalMs = 2000, retryFailed = false }) {
+  const jobs = await readJobs(jobsFile);
+  const state = await readState(stateFile);
+  state.source = jobsFile;
+
+  let saving = Promise.resolve();
+  const save = () => {
+    saving = saving.then(async () => {
+      await writeFile(`${stateFile}.tmp`, JSON.stringify(state, null, 2), 'utf-8');
+      await rename(`${stateFile}.tmp`, stateFile);
+    });
+    return saving;
+  };
+
+  const todo = [];
+  for (const { key, line, job } of jobs) {
+    const previous = state.jobs[key];
+    if (previous?.status === 'done' || (previous?.status === 'failed' && !retryFailed)) continue;
+    state.jobs[key] = { line, url: job.url, status: 'pending', attempts: previous?.attempts || 0 };
+    todo.push({ key, line, job });
+  }
+  await save();
+  log.info(`📋 ${jobs.length} jobs in ${jobsFile}: ${todo.length} to run, ${jobs.length - todo.length} already finished`);
+
+  const waitForHost = createHostRateLimiter({ intervalMs: hostIntervalMs });
+  const queue = [...todo];
+  const worker = async () => {
+    while (queue.length) {
+      const { key, line, job } = queue.shift();
+      const entry = state.jobs[key];
+      entry.attempts++;
+      log.info(`▶️ Job ${line}: ${job.url}`);
+      try {
+        checkJobUrl(job.url);
+        await waitForHost(job.url);
+        await run(job);
+        Object.assign(entry, { status: 'done', reason: undefined, category: undefined });
+      } catch (err) {
+        Object.assign(entry, { status: 'failed', reason: redact(err.message), category: errorCategory(err) });
+        log.warn(`⚠️ Job ${line} failed: ${err.message}`);
+      }
+      entry.updatedAt = new Date().toISOString();
+      await save();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  const entries = jobs.map(({ key }) => state.jobs[key]);
+  const failures = entries.filter(e => e.status === 'failed')
+    .map(({ line, url, reason, category }) => ({ line, url, reason, category: category ?? null }));
+  return {
+    stateFile,
+    total: jobs.length,
+    done: entries.filter(e => e.status === 'done').length,
+    failed: failures.length,
+    skipped: jobs.length - todo.length,
+    failures,
+  };
+}
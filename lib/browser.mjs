@@ -0,0 +1,165 @@
+import { existsSync } from 'fs';
+import fetch from 'node-fetch';
+import puppeteerExtra from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { log } from './log.mjs';
+import { checkSession, isSessionExpired, setPageCookies } from './session.mjs';
+
+puppeteerExtra.use(StealthPlugin());
+
+// System Chrome when present (CI runners, Docker), else Puppeteer's bundled Chromium
+function chromePath() {
+  if (process.env.CHROME_PATH) return process.env.CHROME_PATH;
+  return existsSync('/usr/bin/google-chrome-stable') ? '/usr/bin/google-chrome-stable' : undefined;
+}
+
+export function launchBrowser() {
+  return puppeteerExtra.launch({
+    executablePath: chromePath(),
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+}
+
+// Applied to every new page, pooled or not
+export async function preparePage(page) {
+  await page.evaluateOnNewDocument(() => {
+    Object.defineProperty(navigator, 'webdriver', { get: () => false });
+  });
+}
+
+/**
+ * Run `fn(page)` on a page from a browser pool (see createBrowserPool()), a
+ * shared browser, or a browser of its own; only what was opened here is
+ * closed again, also when opening the page or `fn` throws.
+ */
+export async function withPage(sharedBrowser, fn) {
+  if (typeof sharedBrowser?.withPage === 'function') return sharedBrowser.withPage(fn);
+
+  const browser = sharedBrowser || await launchBrowser();
+  let page;
+  try {
+    page = await browser.newPage();
+    await preparePage(page);
+    return await fn(page);
+  } finally {
+    if (!sharedBrowser) await browser.close();
+    else if (page) await page.close().catch(() => {});
+  }
+}
+
+async function gotoWithRetry(page, url) {
+  try {
+    const response = await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: 60000
+    });
+    await page.waitForSelector('body', { timeout: 20000 });
+    await page.waitForTimeout(2000);
+    return response;
+  } catch (err) {
+    log.warn('❌ Navigation failed, retrying once after delay...');
+    await page.waitForTimeout(5000);
+    const response = await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: 60000
+    });
+    await page.waitForSelector('body', { timeout: 20000 });
+    return response;
+  }
+}
+
+/**
+ * Navigate with the session's cookies set on the page and fail with a
+ * "session expired" error when the result is a login page, a 401/403 or a
+ * Cloudflare challenge.
+ */
+async function gotoWithSession(page, url, headers = {}) {
+  await page.setExtraHTTPHeaders(await setPageCookies(page, url, headers));
+  const response = await gotoWithRetry(page, url);
+  checkSession({
+    url,
+    finalUrl: page.url(),
+    status: response?.status(),
+    headers: response?.headers(),
+    body: await page.content(),
+  });
+  return response;
+}
+
+/**
+ * Run `fn(page)` with the page's console and network recorded by
+ * `diagnostics` (see createDiagnostics()), and the page captured if it fails.
+ */
+async function withWatchedPage(browser, diagnostics, fn) {
+  return withPage(browser, async page => {
+    const unwatch = diagnostics?.watchPage(page);
+    try {
+      return await fn(page);
+    } catch (err) {
+      await diagnostics?.snapshot(page);
+      throw err;
+    } finally {
+      unwatch?.();
+    }
+  });
+}
+
+/**
+ * Load a URL in Chromium (to get past bot protection) and return the body
+ * text, for JSON endpoints.
+ */
+export async function fetchTextWithPuppeteer(url, headers, browser, { diagnostics } = {}) {
+  return withWatchedPage(browser, diagnostics, async page => {
+    await gotoWithSession(page, url, headers);
+    const text = await page.evaluate(() => document.body.innerText);
+    diagnostics?.recordResponse(url, text);
+    return text;
+  });
+}
+
+/**
+ * Load a page in Chromium with every `<details>` expanded and return its HTML.
+ * @param {Object} [options]
+ * @param {Object} [options.diagnostics] - Records the page for a failure bundle
+ */
+export async function fetchHtmlWithPuppeteer(url, headers, browser, { diagnostics } = {}) {
+  return withWatchedPage(browser, diagnostics, async page => {
+    await gotoWithSession(page, url, headers);
+    await page.evaluate(() => {
+      document.querySelectorAll('details').forEach(el => el.open = true);
+    });
+    return page.content();
+  });
+}
+
+/**
+ * Fetch a JSON endpoint over plain HTTP with the session headers, and only
+ * go through Chromium when Cloudflare answers with a challenge or a 403 that
+ * a real browser may get past. A login redirect fails straight away.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.headers]
+ * @param {Object} [options.browser] - Pool or browser for the fallback
+ * @param {Object} [options.diagnostics] - Records the exchange for a failure bundle
+ * @returns {Promise<string>} The response body
+ */
+export async function fetchJsonText(url, { headers = {}, browser, diagnostics } = {}) {
+  try {
+    const startedAt = Date.now();
+    const requestHeaders = { ...headers, 'Accept': 'application/json' };
+    const res = await fetch(url, { method: 'GET', headers: requestHeaders });
+    const body = await res.text();
+    diagnostics?.recordExchange({
+      url, startedAt, status: res.status, statusText: res.statusText,
+      requestHeaders, responseHeaders: Object.fromEntries(res.headers), body,
+    });
+    checkSession({ url, finalUrl: res.url, status: res.status, body, headers: Object.fromEntries(res.headers) });
+    if (!res.ok) throw new Error(`Failed to fetch: ${res.status} ${res.statusText}`);
+    return body;
+  } catch (err) {
+    if (!isSessionExpired(err) || err.reason === 'login-redirect') throw err;
+    log.warn(`🛡️ ${err.reason} on plain HTTP for ${url}, retrying in Chromium`);
+    return fetchTextWithPuppeteer(url, headers, browser, { diagnostics });
+  }
+}
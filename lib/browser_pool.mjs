@@ -0,0 +1,119 @@
+import { launchBrowser, preparePage } from './browser.mjs';
+
+/**
+ * One Chromium shared by every fetch, with up to `concurrency` pages in use
+ * at once. Pages are kept and reused between fetches; each lives in its own
+ * incognito context whose cookies are cleared when the page is handed back,
+ * so sessions never leak from one fetch into the next. A page whose fetch
+ * threw is closed rather than reused, and the browser is relaunched on the
+ * next request if it crashes or disconnects.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency]
+ * @param {() => Promise<Object>} [options.launch] - Defaults to launchBrowser()
+ */
+export function createBrowserPool({ concurrency = 2, launch = launchBrowser } = {}) {
+  let browserPromise = null;
+  let idle = [];
+  let inUse = 0;
+  const waiting = [];
+
+  function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = launch().then(browser => {
+        browser.on('disconnected', () => {
+          browserPromise = null;
+          idle = [];
+        });
+        return browser;
+      });
+      browserPromise.catch(() => { browserPromise = null; });
+    }
+    return browserPromise;
+  }
+
+  async function openPage() {
+    const browser = await getBrowser();
+    const context = await browser.createIncognitoBrowserContext();
+    try {
+      const page = await context.newPage();
+      await preparePage(page);
+      return page;
+    } catch (err) {
+      await context.close().catch(() => {});
+      throw err;
+    }
+  }
+
+  async function discard(page) {
+    await page.browserContext().close().catch(() => {});
+  }
+
+  async function reset(page) {
+    const client = await page.target().createCDPSession();
+    try {
+      await client.send('Network.clearBrowserCookies');
+    } finally {
+      await client.detach().catch(() => {});
+    }
+    await page.setExtraHTTPHeaders({});
+    await page.goto('about:blank');
+  }
+
+  async function acquire() {
+    while (inUse >= concurrency) {
+      await new Promise(resolve => waiting.push(resolve));
+    }
+    inUse++;
+    try {
+      while (idle.length) {
+        const page = idle.pop();
+        if (!page.isClosed()) return page;
+      }
+      return await openPage();
+    } catch (err) {
+      release();
+      throw err;
+    }
+  }
+
+  function release() {
+    inUse--;
+    waiting.shift()?.();
+  }
+
+  return {
+    /**
+     * Run `fn(page)` on a pooled page, waiting for a free one if needed.
+     */
+    async withPage(fn) {
+      const page = await acquire();
+      let ok = false;
+      try {
+        const result = await fn(page);
+        ok = true;
+        return result;
+      } finally {
+        try {
+          if (ok && !page.isClosed()) {
+            await reset(page);
+            idle.push(page);
+          } else {
+            await discard(page);
+          }
+        } catch {
+          await discard(page);
+        }
+        release();
+      }
+    },
+    stats() {
+      return { browser: browserPromise ? 'up' : 'idle', pagesInUse: inUse, pagesIdle: idle.length, concurrency };
+    },
+    async close() {
+      const pending = browserPromise;
+      browserPromise = null;
+      idle = [];
+      if (pending) await (await pending.catch(() => null))?.close();
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { log } from './log.mjs';
+import { findPageById } from './toc.mjs';
+
+export function hashJson(value) {
+  return createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+export function courseIdOf(course) {
+  const details = course.instance.details;
+  return String(details.collection_id ?? details.url_slug);
+}
+
+/**
+ * The revision a cached lesson is valid for: the course's
+ * `published_revision` and `modified_time`, plus the page's own
+ * `modified_time` when the TOC carries one. Any edit to the course moves it.
+ */
+export function revisionOf(course, pageId) {
+  const details = course.instance.details;
+  const page = findPageById(course, pageId)?.page;
+  return [course.published_revision, details.modified_time, page?.modified_time]
+    .filter(part => part !== undefined && part !== null)
+    .join(':');
+}
+
+/**
+ * On-disk cache of course JSON, lesson JSON and rendered output, under
+ * `<dir>/<course id>/course.json` and `<dir>/<course id>/pages/<page id>.json`.
+ * `<dir>/courses.json` maps each cached course's `url_slug` to its author and
+ * collection ids, so a `/courses/<slug>/…` URL can be resolved without the page.
+ * A lesson entry is `{ revision, hash, lesson, result, sentKey, updatedAt }`:
+ * `hash` is the hash of the lesson JSON and `sentKey` records what was last
+ * sent, and with which message to which sinks, so an unchanged lesson is
+ * neither fetched nor sent twice.
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ */
+export function createCache({ dir = '.cache' } = {}) {
+  const courseDir = course => join(dir, courseIdOf(course));
+  const pageFile = (course, pageId) => join(courseDir(course), 'pages', `${pageId}.json`);
+  const indexFile = join(dir, 'courses.json');
+
+  const readIndex = async () => {
+    if (!existsSync(indexFile)) return {};
+    try {
+      return JSON.parse(await readFile(indexFile, 'utf-8'));
+    } catch (err) {
+      log.warn(`⚠️ Ignoring unreadable cache index ${indexFile}`, { error: err.message });
+      return {};
+    }
+  };
+  // Updates are chained so concurrent writeCourse() calls don't drop entries
+  let indexing = Promise.resolve();
+  const indexCourse = ({ url_slug: slug, author_id: authorId, collection_id: collectionId }) => {
+    if (!slug || !authorId || !collectionId) return indexing;
+    indexing = indexing.then(async () => {
+      const index = await readIndex();
+      if (index[slug]?.authorId === String(authorId) && index[slug]?.collectionId === String(collectionId)) return;
+      index[slug] = { authorId: String(authorId), collectionId: String(collectionId) };
+      await writeFile(indexFile, JSON.stringify(index, null, 2), 'utf-8');
+    });
+    return indexing;
+  };
+
+  return {
+    dir,
+    async writeCourse(course) {
+      await mkdir(courseDir(course), { recursive: true });
+      const file = join(courseDir(course), 'course.json');
+      await writeFile(file, JSON.stringify(course, null, 2), 'utf-8');
+      await indexCourse(course.instance.details);
+      return file;
+    },
+    /** `{ authorId, collectionId }` of a cached course by its `url_slug`, or null. */
+    async findCourse(slug) {
+      return (await readIndex())[slug] ?? null;
+    },
+    /**
+     * The cached entry for a page, with `fresh` set when it was stored for
+     * the course's current revision; null when there is none.
+     */
+    async readLesson(course, pageId) {
+      const file = pageFile(course, pageId);
+      if (!existsSync(file)) return null;
+      try {
+        const entry = JSON.parse(await readFile(file, 'utf-8'));
+        return { ...entry, fresh: entry.revision === revisionOf(course, pageId) };
+      } catch (err) {
+        log.warn(`⚠️ Ignoring unreadable cache entry ${file}`, { error: err.message });
+        return null;
+      }
+    },
+    async writeLesson(course, pageId, fields) {
+      const file = pageFile(course, pageId);
+      await mkdir(join(courseDir(course), 'pages'), { recursive: true });
+      const { fresh, ...entry } = fields;
+      await writeFile(file, JSON.stringify({
+        ...entry,
+        revision: revisionOf(course, pageId),
+        updatedAt: new Date().toISOString(),
+      }, null, 2), 'utf-8');
+    },
+  };
+}
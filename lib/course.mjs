@@ -0,0 +1,189 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { renderLesson } from './lesson.mjs';
+import { extractAssessments, writeAssessments } from './assessments.mjs';
+import { collectAssets, downloadAssets, localizeAssets } from './assets.mjs';
+import { lintCourse, lintLesson } from './lint.mjs';
+import { checkLinks, collectLinks, relativizeLinks } from './links.mjs';
+import { errorCategory, withCategory } from './errors.mjs';
+import { log } from './log.mjs';
+import { countComponents } from './run_report.mjs';
+import { buildLessonDocument } from './structured.mjs';
+import { listCoursePages } from './toc.mjs';
+import { writeWorkspaces } from './workspaces.mjs';
+
+export { findPageById, findSlugByTitle, listCoursePages, slugify } from './toc.mjs';
+
+function buildCourseIndex(courseJson, results) {
+  const details = courseJson.instance.details;
+  let index = `# ${details.title}\n\n`;
+  if (details.brief_summary) index += `${details.brief_summary}\n\n`;
+
+  let currentCategory = null;
+  for (const { category, page, file, error, unhandled, findings, codeChecks } of results) {
+    if (category !== currentCategory) {
+      index += `${currentCategory ? '\n' : ''}## ${category.title}\n\n`;
+      currentCategory = category;
+    }
+    if (error) {
+      index += `- ${page.title} _(export failed: ${error})_\n`;
+      continue;
+    }
+    const notes = [];
+    if (findings.length) notes.push(`${findings.length} finding${findings.length === 1 ? '' : 's'}`);
+    if (unhandled.length) notes.push(`unhandled: ${unhandled.join(', ')}`);
+    if (codeChecks?.errors) notes.push(`${codeChecks.errors} code file${codeChecks.errors === 1 ? '' : 's'} with syntax errors`);
+    index += notes.length
+      ? `- [${page.title}](${file}) _(${notes.join('; ')})_\n`
+      : `- [${page.title}](${file})\n`;
+  }
+  return index;
+}
+
+/**
+ * Export every lesson of a course to `<outDir>/<category-slug>/<page-slug>.md`
+ * (and/or a `.json` structured document, depending on `format`) and write an
+ * `index.md` linking them, plus a `findings.json` with the lint findings of
+ * every lesson and the course, an `assets.json` listing the images each
+ * lesson uses and a `links.json` with the links of each lesson. Links to
+ * other lessons of the course become relative links between the files. With `fetchAsset`, the images are also downloaded into an
+ * `assets/` folder next to the lessons and the links point there. A lesson
+ * that fails to fetch or render is listed in the index and does not stop
+ * the export.
+ * @param {Object} courseJson - Course JSON as returned by fetchCourse()
+ * @param {Object} options
+ * @param {string} options.baseUrl - Course API URL; lessons live at `${baseUrl}/page/<id>`
+ * @param {string} options.outDir - Folder to write the export into
+ * @param {(url: string, page: Object) => Promise<Object>} options.fetchLesson - Returns the lesson JSON for a page URL (and its TOC entry)
+ * @param {string} [options.format] - `markdown` (default), `json` or `both`
+ * @param {boolean} [options.reviewer] - See renderLesson()
+ * @param {string} [options.mathDialect] - See renderLesson()
+ * @param {string} [options.columnLayout] - See renderLesson()
+ * @param {(url: string) => Promise<{ body: Buffer, contentType: string }>} [options.fetchAsset] - Download images with this
+ * @param {string} [options.courseImage] - The course og:image, for the manifest
+ * @param {string[]} [options.assessmentFormats] - Also export every quiz, matching and ordering
+ *   question to `assessments/` in these formats; see writeAssessments()
+ * @param {Object} [options.linkChecker] - From createLinkChecker(); checks the external links too
+ * @param {boolean} [options.workspaces] - Also write each lesson's code widgets to
+ *   `workspaces/<category-slug>/<page-slug>/`, syntax-checked, with every result in `workspaces/checks.json`;
+ *   see writeWorkspaces()
+ * @returns {Promise<{ indexFile: string, exported: number, failed: number, lessons: Array<Object> }>}
+ *   `lessons` has one run-report entry per page; see createRunReport()
+ */
+export async function exportCourse(courseJson, { baseUrl, outDir, fetchLesson, format = 'markdown', reviewer, mathDialect, columnLayout, fetchAsset, courseImage, assessmentFormats = [], workspaces = false, linkChecker }) {
+  const results = [];
+  const questions = [];
+  const entries = listCoursePages(courseJson);
+  const fileOfPage = new Map(entries.map(({ categorySlug, page, pageSlug }) =>
+    [String(page.id), `${categorySlug}/${pageSlug}.${format === 'json' ? 'json' : 'md'}`]));
+
+  for (const entry of entries) {
+    const { categorySlug, page, pageSlug } = entry;
+    const base = `${categorySlug}/${pageSlug}`;
+    const file = fileOfPage.get(String(page.id));
+    const url = `${baseUrl}/page/${page.id}`;
+    const start = Date.now();
+    try {
+      const json = await fetchLesson(url, page);
+      let rendered;
+      try {
+        rendered = renderLesson(json, { title: page.title, reviewer, mathDialect, columnLayout });
+      } catch (err) {
+        throw withCategory(err, 'render');
+      }
+      questions.push(...extractAssessments(json, { title: page.title }));
+      const codeChecks = workspaces
+        ? await writeWorkspaces(json, { dir: join(outDir, 'workspaces', categorySlug, pageSlug), root: join(outDir, 'workspaces') })
+        : undefined;
+      await mkdir(join(outDir, categorySlug), { recursive: true });
+
+      let assets = collectAssets(rendered, { baseUrl });
+      if (fetchAsset && assets.length) {
+        assets = await downloadAssets(assets, { dir: join(outDir, categorySlug, 'assets'), fetchAsset });
+        rendered = localizeAssets(rendered, assets);
+      }
+      let links = collectLinks(rendered, { course: courseJson, baseUrl });
+      if (linkChecker) links = await checkLinks(links, linkChecker);
+      rendered = relativizeLinks(rendered, links, { fromFile: file, fileOf: page => fileOfPage.get(String(page.id)) });
+      // Course-level findings are reported once, in findings.json
+      const findings = lintLesson(json, rendered, { links });
+      const { markdown, unhandled } = rendered;
+      if (format !== 'json') {
+        await writeFile(join(outDir, `${base}.md`), markdown, 'utf-8');
+      }
+      if (format !== 'markdown') {
+        const document = buildLessonDocument(rendered, { course: courseJson, pageId: page.id });
+        await writeFile(join(outDir, `${base}.json`), JSON.stringify(document, null, 2), 'utf-8');
+      }
+      log.info(`📄 ${file}`);
+      results.push({ ...entry, file, url, durationMs: Date.now() - start, components: countComponents(rendered.components), unhandled, findings, assets, links, codeChecks });
+    } catch (err) {
+      log.warn(`⚠️ Could not export "${page.title}"`, { error: err.message });
+      results.push({ ...entry, file, url, durationMs: Date.now() - start, error: err.message, failureCategory: errorCategory(err) });
+    }
+  }
+
+  const indexFile = join(outDir, 'index.md');
+  await mkdir(outDir, { recursive: true });
+  await writeFile(indexFile, buildCourseIndex(courseJson, results), 'utf-8');
+
+  const findingsReport = {
+    course: lintCourse(courseJson),
+    lessons: results
+      .filter(r => r.findings?.length)
+      .map(({ page, file, findings }) => ({ id: page.id, title: page.title, file, findings })),
+  };
+  await writeFile(join(outDir, 'findings.json'), JSON.stringify(findingsReport, null, 2), 'utf-8');
+
+  const assetManifest = {
+    course: { ogImage: courseImage || null, baseImagePath: baseUrl },
+    lessons: results
+      .filter(r => r.assets?.length)
+      .map(({ page, file, assets }) => ({ id: page.id, title: page.title, file, assets })),
+  };
+  if (courseImage && fetchAsset) {
+    const [image] = await downloadAssets(
+      [{ src: courseImage, url: courseImage, kind: 'course-image' }],
+      { dir: join(outDir, 'assets'), fetchAsset },
+    );
+    if (image.file) assetManifest.course.file = `assets/${image.file}`;
+  }
+  await writeFile(join(outDir, 'assets.json'), JSON.stringify(assetManifest, null, 2), 'utf-8');
+
+  const lessonLinks = results
+    .filter(r => r.links?.length)
+    .map(({ page, file, links }) => ({ id: page.id, title: page.title, file, links }));
+  const linkStatus = status => lessonLinks.reduce((sum, lesson) => sum + lesson.links.filter(l => l.status === status).length, 0);
+  await writeFile(join(outDir, 'links.json'), JSON.stringify({
+    missing: linkStatus('missing'),
+    renamed: linkStatus('renamed'),
+    broken: linkStatus('broken'),
+    lessons: lessonLinks,
+  }, null, 2), 'utf-8');
+
+  if (assessmentFormats.length) {
+    const files = await writeAssessments(questions, {
+      outDir: join(outDir, 'assessments'),
+      formats: assessmentFormats,
+      category: courseJson.instance.details.title,
+    });
+    log.info(`📝 ${questions.length} questions exported: ${files.join(', ')}`);
+  }
+
+  if (workspaces) {
+    const lessons = results
+      .filter(r => r.codeChecks?.widgets)
+      .map(({ page, file, codeChecks: { dir, ...checks } }) => ({ id: page.id, title: page.title, file, dir, ...checks }));
+    const errors = lessons.reduce((sum, lesson) => sum + lesson.errors, 0);
+    await mkdir(join(outDir, 'workspaces'), { recursive: true });
+    await writeFile(join(outDir, 'workspaces', 'checks.json'), JSON.stringify({ errors, lessons }, null, 2), 'utf-8');
+    log.info(`🧰 Code workspaces for ${lessons.length} lessons, ${errors} file(s) with syntax errors`);
+  }
+
+  const failed = results.filter(r => r.error).length;
+  // `category` is the TOC category in `results`, the error category in the run report
+  const lessons = results.map(({ page, file, url, durationMs, components, unhandled, error, failureCategory }) => ({
+    url, title: page.title, file, status: error ? 'failed' : 'done', durationMs, components, unhandledTypes: unhandled, error, category: failureCategory,
+  }));
+  return { indexFile, exported: results.length - failed, failed, lessons };
+}
@@ -0,0 +1,139 @@
+// Course-level overview built from the course JSON alone: no lesson is fetched.
+
+const isEmpty = value =>
+  value === undefined || value === null ||
+  (typeof value === 'string' && !value.trim()) ||
+  (Array.isArray(value) && !value.length) ||
+  (typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length);
+
+// Course fields a review expects to be filled in, as [field, what it is]
+const REQUIRED_FIELDS = [
+  ['details', 'course description'],
+  ['clos', 'course learning outcomes'],
+  ['skills', 'skills'],
+  ['summary', 'summary'],
+  ['brief_summary', 'brief summary'],
+  ['tags', 'tags'],
+  ['target_audience', 'target audience'],
+  ['cover_image_id', 'cover image'],
+];
+
+function authorsOf(details) {
+  const coAuthors = (details.co_authors || []).map(author => typeof author === 'string' ? author : author?.name);
+  return [details.ref_author_name, ...coAuthors].filter(Boolean);
+}
+
+/**
+ * Overview of a course for a course-level review: its metadata, the outline
+ * with lesson counts per category, preview vs. paid lessons, page types, and
+ * which metadata fields are empty.
+ * @param {Object} course - Course JSON as returned by fetchCourse()
+ * @returns {{ course: Object, totals: Object, outline: Array, previewLessons: string[],
+ *   pageTypes: Object, completeness: Array<{ field: string, label: string, ok: boolean, detail?: string }> }}
+ *   `course.readTime` is in seconds
+ */
+export function buildCourseReport(course) {
+  const details = course.instance.details;
+  const categories = details.toc?.categories || [];
+
+  const pageTypes = {};
+  const previewLessons = [];
+  const outline = categories.map(category => {
+    const pages = category.pages || [];
+    const types = {};
+    for (const page of pages) {
+      const type = page.type || 'unknown';
+      types[type] = (types[type] || 0) + 1;
+      pageTypes[type] = (pageTypes[type] || 0) + 1;
+      if (page.is_preview) previewLessons.push(page.title);
+    }
+    const preview = pages.filter(page => page.is_preview).length;
+    return { title: category.title, lessons: pages.length, preview, paid: pages.length - preview, types };
+  });
+
+  const lessons = outline.reduce((sum, category) => sum + category.lessons, 0);
+  const completeness = REQUIRED_FIELDS.map(([field, label]) => ({ field, label, ok: !isEmpty(details[field]) }));
+  const untitled = outline.filter(category => isEmpty(category.title)).length;
+  const withoutSummary = categories.filter(category => isEmpty(category.summary)).length;
+  const withoutLessons = outline.filter(category => !category.lessons).length;
+  completeness.push(
+    { field: 'toc.categories[].title', label: 'category titles', ok: !untitled, ...(untitled && { detail: `${untitled} untitled` }) },
+    { field: 'toc.categories[].summary', label: 'category summaries', ok: !withoutSummary, ...(withoutSummary && { detail: `${withoutSummary} missing` }) },
+    { field: 'toc.categories[].pages', label: 'lessons in every category', ok: !withoutLessons, ...(withoutLessons && { detail: `${withoutLessons} empty` }) },
+  );
+
+  return {
+    course: {
+      title: details.title || '',
+      slug: details.url_slug || '',
+      summary: details.brief_summary || details.summary || '',
+      authors: authorsOf(details),
+      targetAudience: details.target_audience || '',
+      readTime: details.read_time ?? null,
+      tags: details.tags || [],
+      skills: details.skills || [],
+      publishedTime: details.published_time || course.first_published_time || null,
+      lastPublishedTime: course.last_published_time || null,
+      revision: course.published_revision ?? null,
+    },
+    totals: { categories: outline.length, lessons, preview: previewLessons.length, paid: lessons - previewLessons.length },
+    outline,
+    previewLessons,
+    pageTypes,
+    completeness,
+  };
+}
+
+const cell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+const percent = (part, whole) => whole ? `${Math.round((part / whole) * 100)}%` : '0%';
+const day = time => time ? String(time).slice(0, 10) : '—';
+
+/**
+ * The report from buildCourseReport() as Markdown.
+ * @param {Object} report
+ * @returns {string}
+ */
+export function courseReportMarkdown(report) {
+  const { course, totals, outline, previewLessons, pageTypes, completeness } = report;
+  const lines = [`# Course report: ${course.title}`, ''];
+  if (course.summary) lines.push(course.summary, '');
+
+  lines.push('| | |', '| --- | --- |');
+  lines.push(`| Slug | \`${course.slug}\` |`);
+  lines.push(`| Authors | ${cell(course.authors.join(', ') || '—')} |`);
+  lines.push(`| Target audience | ${cell(course.targetAudience || '—')} |`);
+  lines.push(`| Read time | ${course.readTime ? `${Math.round(course.readTime / 3600)} h` : '—'} |`);
+  lines.push(`| Tags | ${cell(course.tags.join(', ') || '—')} |`);
+  lines.push(`| Skills | ${cell(course.skills.join(', ') || '—')} |`);
+  lines.push(`| Published | ${day(course.publishedTime)} (last ${day(course.lastPublishedTime)}, revision ${course.revision ?? '—'}) |`);
+  lines.push('');
+
+  lines.push('## Outline', '');
+  lines.push(`${totals.lessons} lessons in ${totals.categories} categories.`, '');
+  lines.push('| # | Category | Lessons | Preview | Paid |', '| --- | --- | --- | --- | --- |');
+  outline.forEach((category, i) => {
+    lines.push(`| ${i + 1} | ${cell(category.title || '(untitled)')} | ${category.lessons} | ${category.preview} | ${category.paid} |`);
+  });
+  lines.push(`| | **Total** | **${totals.lessons}** | **${totals.preview}** | **${totals.paid}** |`, '');
+
+  lines.push('## Preview and paid lessons', '');
+  lines.push(`- Preview: ${totals.preview} (${percent(totals.preview, totals.lessons)})`);
+  lines.push(`- Paid: ${totals.paid} (${percent(totals.paid, totals.lessons)})`, '');
+  if (previewLessons.length) {
+    lines.push('Preview lessons:', '');
+    previewLessons.forEach(title => lines.push(`- ${title}`));
+    lines.push('');
+  }
+
+  lines.push('## Page types', '');
+  lines.push('| Type | Lessons |', '| --- | --- |');
+  Object.entries(pageTypes).sort((a, b) => b[1] - a[1]).forEach(([type, count]) => lines.push(`| \`${type}\` | ${count} |`));
+  lines.push('');
+
+  lines.push('## Metadata completeness', '');
+  lines.push('| Field | | |', '| --- | --- | --- |');
+  completeness.forEach(({ field, label, ok, detail }) => {
+    lines.push(`| \`${field}\` | ${ok ? '✅' : '⚠️'} | ${cell(ok ? label : `${label}: ${detail || 'empty'}`)} |`);
+  });
+  return lines.join('\n') + '\n';
+}
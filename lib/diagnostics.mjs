@@ -0,0 +1,151 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { errorCategory } from './errors.mjs';
+import { redact } from './log.mjs';
+
+// Only the most recent traffic is kept: enough to see what led up to a failure
+const MAX_ENTRIES = 500;
+const MAX_RESPONSES = 20;
+
+function keepLast(list, max) {
+  if (list.length > max) list.splice(0, list.length - max);
+}
+
+// HAR wants `[{ name, value }]`; redacted, so cookies stay out of the bundle
+function harHeaders(headers = {}) {
+  return Object.entries(redact(headers)).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function harEntry({ method = 'GET', url, startedAt, time = 0, requestHeaders, status = 0, statusText = '', responseHeaders = {}, size = -1, error }) {
+  return {
+    startedDateTime: new Date(startedAt).toISOString(),
+    time,
+    request: {
+      method, url, httpVersion: 'HTTP/1.1', headers: harHeaders(requestHeaders),
+      queryString: [], cookies: [], headersSize: -1, bodySize: -1,
+    },
+    response: {
+      status, statusText, httpVersion: 'HTTP/1.1', headers: harHeaders(responseHeaders), cookies: [],
+      content: { size, mimeType: responseHeaders['content-type'] || '' },
+      redirectURL: responseHeaders.location || '', headersSize: -1, bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    ...(error && { _error: error }),
+  };
+}
+
+/**
+ * Records what a run did (browser console, network traffic, raw JSON
+ * responses, and the page that was open when something failed) and writes
+ * it to disk only if the run fails; a successful run leaves nothing behind.
+ * Pass it as `diagnostics` to resolveLesson(), fetchLesson() and friends.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Parent folder for the per-failure bundles
+ */
+export function createDiagnostics({ dir = 'diagnostics' } = {}) {
+  const consoleLines = [];
+  const entries = [];
+  const responses = [];
+  let pageSnapshot = null;
+
+  return {
+    /**
+     * Listen to a Chromium page's console and network until the returned
+     * function is called.
+     */
+    watchPage(page) {
+      const started = new Map();
+      const onConsole = msg => {
+        consoleLines.push(`${new Date().toISOString()} [${msg.type()}] ${redact(msg.text())}`);
+        keepLast(consoleLines, MAX_ENTRIES);
+      };
+      const onPageError = err => {
+        consoleLines.push(`${new Date().toISOString()} [pageerror] ${redact(err.message)}`);
+        keepLast(consoleLines, MAX_ENTRIES);
+      };
+      const onRequest = request => started.set(request, Date.now());
+      const onDone = (request, fields) => {
+        const startedAt = started.get(request) ?? Date.now();
+        started.delete(request);
+        entries.push(harEntry({
+          method: request.method(), url: request.url(), startedAt, time: Date.now() - startedAt,
+          requestHeaders: request.headers(), ...fields,
+        }));
+        keepLast(entries, MAX_ENTRIES);
+      };
+      const onResponse = response => onDone(response.request(), {
+        status: response.status(), statusText: response.statusText(), responseHeaders: response.headers(),
+      });
+      const onFailed = request => onDone(request, { error: request.failure()?.errorText });
+
+      page.on('console', onConsole);
+      page.on('pageerror', onPageError);
+      page.on('request', onRequest);
+      page.on('response', onResponse);
+      page.on('requestfailed', onFailed);
+      return () => {
+        page.off('console', onConsole);
+        page.off('pageerror', onPageError);
+        page.off('request', onRequest);
+        page.off('response', onResponse);
+        page.off('requestfailed', onFailed);
+      };
+    },
+
+    /** Record a request made outside Chromium, with its body when it is JSON. */
+    recordExchange({ url, startedAt, status, statusText, requestHeaders, responseHeaders = {}, body, error }) {
+      entries.push(harEntry({
+        url, startedAt, time: Date.now() - startedAt, status, statusText,
+        requestHeaders, responseHeaders, size: body?.length ?? -1, error,
+      }));
+      keepLast(entries, MAX_ENTRIES);
+      if (body !== undefined) this.recordResponse(url, body);
+    },
+
+    /** Keep a raw response body, e.g. JSON that failed to parse. */
+    recordResponse(url, body) {
+      responses.push({ url, body });
+      keepLast(responses, MAX_RESPONSES);
+    },
+
+    /** Screenshot and HTML of the page as it is now; call before the page is closed. */
+    async snapshot(page) {
+      const html = await page.content().catch(() => null);
+      const screenshot = await page.screenshot({ fullPage: true }).catch(() => null);
+      pageSnapshot = { url: page.url(), html, screenshot };
+    },
+
+    /**
+     * Write the bundle for a failure to `<dir>/<timestamp>-<category>/`:
+     * `error.json`, `screenshot.png` and `page.html` (when a page was open),
+     * `console.log`, `network.har` and `responses/<n>.json` (listed with their URLs in
+     * `responses/index.json`).
+     * @param {Error} err
+     * @returns {Promise<string>} The folder
+     */
+    async write(err) {
+      const category = errorCategory(err) || 'unknown';
+      const folder = join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${category}`);
+      await mkdir(join(folder, 'responses'), { recursive: true });
+
+      await writeFile(join(folder, 'error.json'), JSON.stringify(redact({
+        category, code: err.code, reason: err.reason, url: err.url, message: err.message, stack: err.stack,
+        page: pageSnapshot?.url,
+      }), null, 2), 'utf-8');
+      if (pageSnapshot?.screenshot) await writeFile(join(folder, 'screenshot.png'), pageSnapshot.screenshot);
+      if (pageSnapshot?.html) await writeFile(join(folder, 'page.html'), pageSnapshot.html, 'utf-8');
+      await writeFile(join(folder, 'console.log'), consoleLines.join('\n') + '\n', 'utf-8');
+      await writeFile(join(folder, 'network.har'), JSON.stringify({
+        log: { version: '1.2', creator: { name: 'n8n-automate_feedback', version: '1.0' }, pages: [], entries },
+      }, null, 2), 'utf-8');
+      const index = [];
+      for (const [i, { url, body }] of responses.entries()) {
+        await writeFile(join(folder, 'responses', `${i + 1}.json`), body, 'utf-8');
+        index.push({ file: `${i + 1}.json`, url });
+      }
+      await writeFile(join(folder, 'responses', 'index.json'), JSON.stringify(index, null, 2), 'utf-8');
+      return folder;
+    },
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Component-level diff between two renders of the same lesson, as produced
+ * by buildLessonDocument() (or any `[{ type, markdown }]` list).
+ */
+
+export const DIFF_MODES = ['replace', 'alongside'];
+
+const CONTEXT_LINES = 2;
+const MAX_LCS_CELLS = 4_000_000;
+
+// Longest common subsequence of two arrays under `same`, as index pairs
+function lcsPairs(a, b, same) {
+  if (a.length * b.length > MAX_LCS_CELLS) return [];
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = same(a[i], b[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (same(a[i], b[j])) pairs.push([i++, j++]);
+    else if (table[i + 1][j] >= table[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+/**
+ * Line diff of two strings in unified style: `-` removed, `+` added, ` `
+ * context, with `...` between hunks that are far apart.
+ * @returns {string}
+ */
+export function diffText(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...lcsPairs(a, b, (x, y) => x === y), [a.length, b.length]]) {
+    while (i < pi) lines.push({ op: '-', text: a[i++] });
+    while (j < pj) lines.push({ op: '+', text: b[j++] });
+    if (pi < a.length) lines.push({ op: ' ', text: a[pi] });
+    i = pi + 1;
+    j = pj + 1;
+  }
+
+  const changed = lines.map((line, k) => line.op !== ' ' ? k : -1).filter(k => k !== -1);
+  const keep = new Set(changed.flatMap(k =>
+    Array.from({ length: CONTEXT_LINES * 2 + 1 }, (_, d) => k - CONTEXT_LINES + d)));
+  const out = [];
+  lines.forEach((line, k) => {
+    if (!keep.has(k)) return;
+    if (out.length && !keep.has(k - 1)) out.push('...');
+    out.push(`${line.op} ${line.text}`.trimEnd());
+  });
+  return out.join('\n');
+}
+
+/**
+ * Match the components of two renders and classify them. Identical
+ * components are matched first (in order); between those anchors, remaining
+ * components of the same type are paired up as modified, and whatever is
+ * left over counts as added or removed.
+ * @param {Array<{ type: string, markdown: string }>} previous
+ * @param {Array<{ type: string, markdown: string }>} current
+ * @returns {{
+ *   added: Array<{ index: number, type: string, markdown: string }>,
+ *   removed: Array<{ index: number, type: string, markdown: string }>,
+ *   modified: Array<{ index: number, previousIndex: number, type: string, kind: string, diff: string }>,
+ *   unchanged: number
+ * }} Indexes point into `current` (`previousIndex` and removed ones into `previous`)
+ */
+export function diffComponents(previous, current) {
+  const report = { added: [], removed: [], modified: [], unchanged: 0 };
+  const anchors = lcsPairs(previous, current, (x, y) => x.type === y.type && x.markdown === y.markdown);
+
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...anchors, [previous.length, current.length]]) {
+    const gapBefore = previous.slice(i, pi).map((c, k) => ({ ...c, index: i + k }));
+    const gapAfter = current.slice(j, pj).map((c, k) => ({ ...c, index: j + k }));
+    for (const [bi, aj] of lcsPairs(gapBefore, gapAfter, (x, y) => x.type === y.type)) {
+      const before = gapBefore[bi];
+      const after = gapAfter[aj];
+      report.modified.push({
+        index: after.index,
+        previousIndex: before.index,
+        type: after.type,
+        kind: /^```/m.test(before.markdown + after.markdown) ? 'code' : 'prose',
+        diff: diffText(before.markdown.trimEnd(), after.markdown.trimEnd()),
+      });
+      before.matched = after.matched = true;
+    }
+    report.removed.push(...gapBefore.filter(c => !c.matched).map(({ index, type, markdown }) => ({ index, type, markdown })));
+    report.added.push(...gapAfter.filter(c => !c.matched).map(({ index, type, markdown }) => ({ index, type, markdown })));
+    if (pi < previous.length) report.unchanged++;
+    i = pi + 1;
+    j = pj + 1;
+  }
+  return report;
+}
+
+/**
+ * Readable Markdown version of a diffComponents() report.
+ * @param {Object} report
+ * @param {Object} [options]
+ * @param {string} [options.title] - Lesson title for the heading
+ */
+export function formatDiffReport(report, { title } = {}) {
+  const { added, removed, modified, unchanged } = report;
+  let markdown = `# Changes${title ? `: ${title}` : ''}\n\n`;
+  markdown += `**${added.length} added, ${removed.length} removed, ${modified.length} modified, ${unchanged} unchanged**\n`;
+  if (!added.length && !removed.length && !modified.length) {
+    return markdown + '\nNo changes since the previous version.\n';
+  }
+
+  for (const c of modified) {
+    markdown += `\n## Modified: ${c.type} (component ${c.index})\n\n\`\`\`\`diff\n${c.diff}\n\`\`\`\`\n`;
+  }
+  for (const c of added) {
+    markdown += `\n## Added: ${c.type} (component ${c.index})\n\n${c.markdown.trim()}\n`;
+  }
+  for (const c of removed) {
+    markdown += `\n## Removed: ${c.type} (was component ${c.index})\n\n${c.markdown.trim()}\n`;
+  }
+  return markdown;
+}
+
+/**
+ * Diff two lesson documents (buildLessonDocument() results).
+ * @returns {{ report: Object, markdown: string }}
+ */
+export function diffLessonDocuments(previous, current) {
+  const report = diffComponents(previous.components, current.components);
+  return { report, markdown: formatDiffReport(report, { title: current.lesson?.title }) };
+}
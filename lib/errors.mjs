@@ -0,0 +1,58 @@
+/**
+ * Failure categories and the CLI exit code for each. Errors carry their
+ * category as `err.category`; errorCategory() also recognises the errors
+ * thrown by Puppeteer and checkSession(). A bare SyntaxError is not
+ * `json-parse`: that category is for API responses, tagged where they are parsed.
+ */
+export const ERROR_CATEGORIES = {
+  auth: 10,
+  challenge: 11,
+  'navigation-timeout': 12,
+  'slug-not-found': 13,
+  'json-parse': 14,
+  render: 15,
+  sink: 16,
+  'ambiguous-page': 17,
+};
+
+// Anything else, e.g. bad input or a missing Chrome
+export const UNKNOWN_EXIT_CODE = 1;
+
+/**
+ * Tag an error with a category, keeping its message and other properties.
+ * @param {Error} err
+ * @param {string} category - A key of ERROR_CATEGORIES
+ * @returns {Error} The same error
+ */
+export function withCategory(err, category) {
+  if (!(category in ERROR_CATEGORIES)) throw new Error(`Unknown error category "${category}"`);
+  if (!err.category) err.category = category;
+  return err;
+}
+
+/**
+ * A new error in a category.
+ * @param {string} category
+ * @param {string} message
+ * @param {Object} [fields] - Extra properties, e.g. `{ url }`
+ */
+export function categorizedError(category, message, fields = {}) {
+  return withCategory(Object.assign(new Error(message), fields), category);
+}
+
+/**
+ * The category of an error, or null when it fits none.
+ * @param {Error} err
+ */
+export function errorCategory(err) {
+  if (!err) return null;
+  if (err.category) return err.category;
+  if (err.code === 'SESSION_EXPIRED') return err.reason === 'challenge' ? 'challenge' : 'auth';
+  if (err.name === 'TimeoutError') return 'navigation-timeout';
+  return null;
+}
+
+/** Process exit code for an error: its category's, or UNKNOWN_EXIT_CODE. */
+export function exitCodeFor(err) {
+  return ERROR_CATEGORIES[errorCategory(err)] ?? UNKNOWN_EXIT_CODE;
+}
@@ -0,0 +1,96 @@
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { log } from './log.mjs';
+import { loadCookieFile, toCookieHeader } from './session.mjs';
+
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120 Safari/537.36';
+
+const DEFAULT_HEADERS = {
+  'Accept': 'text/html',
+  'User-Agent': DEFAULT_USER_AGENT,
+};
+
+function splitCookies(cookieString) {
+  if (!cookieString || typeof cookieString !== 'string') return [];
+  return cookieString.split(';').map(x => x.trim()).filter(part => part.includes('='));
+}
+
+/**
+ * Merge cookie strings left to right; a later cookie with the same name
+ * replaces an earlier one.
+ */
+export function mergeCookies(...cookieStrings) {
+  const cookies = new Map();
+  for (const part of cookieStrings.flatMap(splitCookies)) {
+    cookies.set(part.slice(0, part.indexOf('=')), part);
+  }
+  return [...cookies.values()].join('; ');
+}
+
+/**
+ * Build the request headers for a run. Sources, later ones winning:
+ * defaults, `headersFile` (only when no `headersJson` is given),
+ * `headersJson`, then `CF_BP` from the environment. Cookies are merged from
+ * `cookieFile`, the headers' own `Cookie`, `SECURE_COOKIE` and `cookieString`.
+ * @param {Object} [options]
+ * @param {string} [options.headersJson] - Headers as a JSON string
+ * @param {string} [options.headersFile] - Path to a headers JSON file, e.g. headers.json
+ * @param {string} [options.cookieString] - `name=value; name2=value2`
+ * @param {string} [options.cookieFile] - Netscape cookies.txt or browser-exported JSON;
+ *   defaults to `COOKIE_FILE`, filtered to the `COOKIE_DOMAIN` host when set
+ * @param {Object} [options.env]
+ * @returns {Promise<Object>}
+ * @throws {Error} when headersJson or the cookie file is invalid; a broken headers file is only warned about
+ */
+export async function loadHeaders({ headersJson, headersFile, cookieString, cookieFile, env = process.env } = {}) {
+  let headers = { ...DEFAULT_HEADERS };
+
+  if (headersJson) {
+    try {
+      headers = { ...headers, ...JSON.parse(headersJson) };
+    } catch (err) {
+      throw new Error(`Invalid Headers JSON: ${err.message}`);
+    }
+  } else if (headersFile && existsSync(headersFile)) {
+    try {
+      const raw = await readFile(headersFile, 'utf-8');
+      if (raw.trim()) {
+        headers = { ...headers, ...JSON.parse(raw) };
+        log.info(`✅ ${headersFile} loaded and merged.`);
+      }
+    } catch (err) {
+      log.warn(`⚠️ Could not load ${headersFile}. Falling back.`, { error: err.message });
+    }
+  }
+
+  if (env.CF_BP) {
+    headers['cf_bp'] = env.CF_BP;
+    log.info('🔐 Using secure cf_bp header from environment.');
+  }
+
+  const jarFile = cookieFile || env.COOKIE_FILE;
+  let fromJar = '';
+  if (jarFile) {
+    const cookies = await loadCookieFile(jarFile, { domain: env.COOKIE_DOMAIN });
+    log.info(`🍪 ${cookies.length} cookies loaded from ${jarFile}`);
+    fromJar = toCookieHeader(cookies);
+  }
+
+  const fromHeaders = headers['Cookie'] || headers['cookie'] || '';
+  delete headers['cookie'];
+  const secureCookie = env.SECURE_COOKIE || '';
+  if (secureCookie) {
+    log.info(`🍪 ${splitCookies(secureCookie).length} cookies from ENV`);
+  }
+  headers['Cookie'] = mergeCookies(fromJar, fromHeaders, secureCookie, cookieString);
+  if (!headers['Cookie']) {
+    delete headers['Cookie'];
+    log.warn('⚠️ No cookies found in the cookie file, headers, ENV or cookie arguments.');
+  }
+
+  headers['User-Agent'] = headers['User-Agent'] || headers['user-agent'] || DEFAULT_USER_AGENT;
+  delete headers['user-agent'];
+
+  log.debug('🧠 Final headers sent', { headers });
+  return headers;
+}
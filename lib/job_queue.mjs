@@ -0,0 +1,63 @@
+import { randomUUID } from 'crypto';
+import { errorCategory } from './errors.mjs';
+
+/**
+ * In-memory FIFO job queue that runs at most `concurrency` jobs at a time.
+ * Jobs are kept for polling until `maxFinished` newer jobs have finished.
+ * @param {Object} options
+ * @param {(input: Object) => Promise<any>} options.worker - Runs one job; its resolved value becomes `job.result`
+ * @param {number} [options.concurrency]
+ * @param {number} [options.maxFinished]
+ */
+export function createJobQueue({ worker, concurrency = 2, maxFinished = 500 }) {
+  const jobs = new Map();
+  const pending = [];
+  const finished = [];
+  let running = 0;
+
+  function finish(job, fields) {
+    Object.assign(job, fields, { finishedAt: new Date().toISOString() });
+    finished.push(job.id);
+    while (finished.length > maxFinished) jobs.delete(finished.shift());
+  }
+
+  function next() {
+    while (running < concurrency && pending.length) {
+      const job = pending.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      worker(job.input)
+        .then(result => finish(job, { status: 'done', result }))
+        .catch(err => finish(job, {
+          status: 'failed', error: err.message, category: errorCategory(err), ...(err.diagnostics && { diagnostics: err.diagnostics }),
+        }))
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  }
+
+  return {
+    submit(input) {
+      const job = {
+        id: randomUUID(),
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        input,
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      next();
+      return job;
+    },
+    get(id) {
+      return jobs.get(id);
+    },
+    stats() {
+      return { queued: pending.length, running, concurrency };
+    },
+  };
+}
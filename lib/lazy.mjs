@@ -0,0 +1,89 @@
+import { childComponents, walkComponents, withChildComponents } from './lesson.mjs';
+import { log } from './log.mjs';
+import { isSessionExpired } from './session.mjs';
+
+/**
+ * Long lessons arrive with `LazyLoadPlaceholder` components where the
+ * platform defers loading the real component. No placeholder has been
+ * captured yet, so only one shape is followed: `content.url`, absolute or
+ * relative to the lesson, answered with a component or `{ components }`.
+ * Any other placeholder is left as a gap whose reason lists the keys it
+ * does have, so a real one can be read off the output and supported.
+ */
+
+export function isPlaceholder(component) {
+  return component?.type === 'LazyLoadPlaceholder';
+}
+
+/**
+ * The URL a placeholder's deferred component is served from (its
+ * `content.url`), or null when it names none.
+ * @param {Object} component - `LazyLoadPlaceholder` component
+ * @param {Object} options
+ * @param {string} options.pageUrl - `<courseUrl>/page/<pageId>` of the lesson
+ */
+export function placeholderReference(component, { pageUrl }) {
+  const url = component.content?.url;
+  return typeof url === 'string' && url ? new URL(url, `${pageUrl}/`).href : null;
+}
+
+// Why a placeholder names nothing to load, with what it holds instead
+function missingReference(component) {
+  const keys = Object.keys(component.content || {}).filter(key => key !== 'unresolved');
+  return `the placeholder has no content.url (content keys: ${keys.join(', ') || 'none'})`;
+}
+
+// `{ type, content }` or `{ components: [...] }`, as in a lesson
+function componentsFrom(body) {
+  const list = body?.components || [body];
+  return list.filter(c => c && typeof c.type === 'string');
+}
+
+/**
+ * Replace every placeholder in a lesson with the component(s) it defers,
+ * including placeholders nested in containers such as `Columns`.
+ * Placeholders are fetched one at a time. One that can't be loaded stays in
+ * the lesson with `content.unresolved: { reference, reason }`, so it is
+ * rendered as a visible gap and reported by lintLesson(); calling this again
+ * on the result retries only those.
+ * @param {Object} json - Lesson JSON
+ * @param {Object} options
+ * @param {string} options.pageUrl
+ * @param {function(string): Promise<Object>} options.fetchJson - Fetches and parses one reference
+ * @returns {Promise<Object>} The lesson JSON; the same object when there was nothing to resolve
+ * @throws {Error} A session-expired error, which would fail every other placeholder too
+ */
+export async function resolveLazyComponents(json, { pageUrl, fetchJson }) {
+  const total = walkComponents(json.components).filter(({ component }) => isPlaceholder(component)).length;
+  if (!total) return json;
+
+  let loaded = 0;
+  // Containers are rebuilt around their resolved children
+  const resolveList = async components => {
+    const resolved = [];
+    for (const component of components) {
+      if (!isPlaceholder(component)) {
+        const children = childComponents(component);
+        resolved.push(children ? withChildComponents(component, await resolveList(children)) : component);
+        continue;
+      }
+      const reference = placeholderReference(component, { pageUrl });
+      try {
+        if (!reference) throw new Error(missingReference(component));
+        const found = componentsFrom(await fetchJson(reference));
+        if (!found.length) throw new Error('the response holds no component');
+        resolved.push(...found);
+        loaded++;
+      } catch (err) {
+        if (isSessionExpired(err)) throw err;
+        log.warn(`⚠️ Could not load deferred component ${reference || '(no reference)'}`, { error: err.message });
+        resolved.push({ ...component, content: { ...component.content, unresolved: { reference, reason: err.message } } });
+      }
+    }
+    return resolved;
+  };
+
+  const components = await resolveList(json.components);
+  log.info(`⏳ Loaded ${loaded} of ${total} deferred components for ${pageUrl}`);
+  return { ...json, components };
+}
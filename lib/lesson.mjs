@@ -0,0 +1,103 @@
+import { log } from './log.mjs';
+import { MATH_DIALECTS } from './math.mjs';
+import { COLUMN_LAYOUTS } from './renderers/columns.mjs';
+import { getRenderer } from './renderers/index.mjs';
+
+// Where container components keep their children, and how to put others in their place
+const CONTAINERS = {
+  Columns: {
+    children: content => content?.comps,
+    withChildren: (content, comps) => ({ ...content, comps }),
+  },
+};
+
+/** The child components of a container such as `Columns`, or null for any other component. */
+export function childComponents(component) {
+  return CONTAINERS[component?.type]?.children(component.content) || null;
+}
+
+/** A copy of a container component holding `children` instead of its own. */
+export function withChildComponents(component, children) {
+  return { ...component, content: CONTAINERS[component.type].withChildren(component.content, children) };
+}
+
+/**
+ * Every component of a lesson in document order, each container followed by
+ * its children at any depth, so quizzes or code inside `Columns` are found
+ * like top-level ones.
+ * @param {Array<Object>} components - A lesson's `components`
+ * @returns {Array<{ component: Object, index: number, container: string|null }>}
+ *   `index` is the top-level component it belongs to; `container` that
+ *   component's type when this one is nested in it
+ */
+export function walkComponents(components) {
+  const found = [];
+  const walk = (list, index, container) => {
+    for (const component of list || []) {
+      found.push({ component, index, container });
+      const children = childComponents(component);
+      if (children) walk(children, index, container || component.type);
+    }
+  };
+  (components || []).forEach((component, index) => walk([component], index, null));
+  return found;
+}
+
+/**
+ * Render a lesson JSON (as served by `<course>/page/<id>`) to Markdown.
+ * Each component goes through the renderer registered for its type; types
+ * with no renderer are logged and listed in `unhandled`. Container components
+ * such as `Columns` render their children through `ctx.renderComponent()`, so
+ * nested components are handled the same way at any depth.
+ * @param {Object} json - Lesson JSON with `summary` and `components`
+ * @param {Object} [options]
+ * @param {string} [options.title] - Fallback title when the lesson JSON has none
+ * @param {boolean} [options.reviewer] - Include content hidden from learners, such as solutions
+ * @param {string} [options.mathDialect] - `github` (default), `mathjax` or `mathml`; see lib/math.mjs
+ * @param {string} [options.columnLayout] - `sections` (default) or `html` for side-by-side columns
+ * @returns {{
+ *   title: string|undefined,
+ *   markdown: string,
+ *   structuredContent: Array<[string, string]>,
+ *   components: Array<{ type: string, markdown: string, source: Object|null }>,
+ *   unhandled: string[]
+ * }} `components` pairs each rendered block with the lesson component it came
+ *   from (`null` for the title block); `structuredContent` is the same as `[type, markdown]` pairs.
+ */
+export function renderLesson(json, options = {}) {
+  if (options.mathDialect && !MATH_DIALECTS.includes(options.mathDialect)) {
+    throw new Error(`Unknown math dialect "${options.mathDialect}" (expected ${MATH_DIALECTS.join(', ')})`);
+  }
+  if (options.columnLayout && !COLUMN_LAYOUTS.includes(options.columnLayout)) {
+    throw new Error(`Unknown column layout "${options.columnLayout}" (expected ${COLUMN_LAYOUTS.join(', ')})`);
+  }
+  const components = [];
+  const unhandled = [];
+  const lessonTitle = json.summary.title ?? options.title;
+  const title = lessonTitle ? `# ${lessonTitle}\n` : '';
+  const summary = `${json.summary.description}\n---\n`;
+  components.push({ type: "SlateHTML", markdown: title + summary, source: null });
+
+  const ctx = {
+    options,
+    renderComponent(x) {
+      const render = getRenderer(x.type);
+      if (!render) {
+        log.info(`Unhandled type: ${x.type}`);
+        if (!unhandled.includes(x.type)) unhandled.push(x.type);
+        return null;
+      }
+      return render(x, ctx);
+    },
+  };
+  for (const x of json.components) {
+    let markdownContent = ctx.renderComponent(x);
+    if (markdownContent == null) continue;
+    if (!markdownContent.endsWith("\n")) markdownContent += "\n";
+    components.push({ type: x.type, markdown: markdownContent, source: x });
+  }
+
+  const structuredContent = components.map(c => [c.type, c.markdown]);
+  const markdown = structuredContent.map(item => item[1]).join('\n');
+  return { title: lessonTitle, markdown, structuredContent, components, unhandled };
+}
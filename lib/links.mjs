@@ -0,0 +1,262 @@
+import { readFile } from 'fs/promises';
+import { posix } from 'path';
+import fetch from 'node-fetch';
+import { parseLessonUrl } from './resolver.mjs';
+import { slugify } from './toc.mjs';
+
+const PLATFORM_ORIGIN = 'https://www.educative.io';
+
+const MARKDOWN_LINK = /(?<!!)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const HTML_LINK = /<a\b[^>]*?\bhref=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+// Platform URLs that serve files rather than pages
+const ASSET_PATH = /\/(api|v2api|udata|cdn-cgi)\/|\/image\/\d+|\.(png|jpe?g|gif|svg|webp|pdf|zip|gz|mp4|csv|json|txt)$/i;
+
+const hostOf = url => url.hostname.replace(/^www\./, '');
+
+// Lookups over the TOC; titles and title slugs shared by several pages are left out
+function tocIndex(course) {
+  const details = course.instance.details;
+  const byId = new Map();
+  const bySlug = new Map();
+  const byTitle = new Map();
+  const byTitleSlug = new Map();
+  const unique = (map, key, page) => map.set(key, map.has(key) ? null : page);
+  for (const category of details.toc?.categories || []) {
+    for (const page of category.pages || []) {
+      byId.set(String(page.id), page);
+      if (page.slug) bySlug.set(page.slug, page);
+      unique(byTitle, page.title, page);
+      unique(byTitleSlug, slugify(page.title), page);
+    }
+  }
+  return { details, byId, bySlug, byTitle, byTitleSlug, deleted: details.deleted_page_titles || {} };
+}
+
+function resolveLessonLink(ref, text, index) {
+  if (ref.pageId) {
+    const page = index.byId.get(String(ref.pageId));
+    if (page) return { status: 'ok', page };
+    const deletedTitle = index.deleted[ref.pageId];
+    return { status: 'missing', ...(deletedTitle && { detail: `deleted lesson "${deletedTitle}"` }) };
+  }
+  const page = index.bySlug.get(ref.lessonSlug);
+  if (page) return { status: 'ok', page };
+  // An old slug still matching the page's title, or link text naming the page
+  const renamed = index.byTitleSlug.get(ref.lessonSlug) || index.byTitle.get(text.trim());
+  return renamed ? { status: 'renamed', page: renamed } : { status: 'missing' };
+}
+
+/**
+ * List every link in a rendered lesson's prose (Markdown and HTML `<a>`, not
+ * code blocks), once per `href`, as `{ href, url, text, kind, componentType }`:
+ * - `lesson`: a lesson URL on the platform (see parseLessonUrl()). With the
+ *   course JSON, links into this course get `status` `ok`, `renamed` (an old
+ *   slug, recognised from the page title) or `missing`, and the TOC `page`
+ *   (`{ id, slug, title }`); links into another course get `other-course`.
+ * - `asset`: a file, image or API URL on the platform.
+ * - `external`: anything else, including other platform pages; see checkLinks().
+ * Anchors within the page and `mailto:` links are skipped.
+ * @param {Object} rendered - renderLesson() result
+ * @param {Object} [options]
+ * @param {Object} [options.course] - Course JSON, to resolve lesson links against its TOC
+ * @param {string} [options.baseUrl] - Course API URL; only its origin is used
+ * @returns {Array<Object>}
+ */
+export function collectLinks(rendered, { course, baseUrl } = {}) {
+  const origin = baseUrl ? new URL(baseUrl).origin : PLATFORM_ORIGIN;
+  const index = course ? tocIndex(course) : null;
+  // Relative links are relative to the lesson page, `/courses/<course slug>/<lesson>`
+  const base = `${origin}/courses/${index?.details.url_slug || '_'}/`;
+  const links = new Map();
+
+  const add = (href, text, componentType) => {
+    if (!href || href.startsWith('#') || links.has(href)) return;
+    let url;
+    try {
+      url = new URL(href, base);
+    } catch {
+      return;
+    }
+    if (!/^https?:$/.test(url.protocol)) return;
+    const link = { href, url: url.href, text: text.replace(/<[^>]+>/g, '').trim(), componentType };
+    if (hostOf(url) !== hostOf(new URL(origin))) {
+      links.set(href, { ...link, kind: 'external' });
+      return;
+    }
+    const ref = parseLessonUrl(url.href);
+    if (!ref.pageId && !ref.lessonSlug) {
+      links.set(href, { ...link, kind: ASSET_PATH.test(url.pathname) ? 'asset' : 'external' });
+      return;
+    }
+    if (!index) {
+      links.set(href, { ...link, kind: 'lesson' });
+      return;
+    }
+    const sameCourse = ref.collectionId
+      ? ref.collectionId === String(index.details.collection_id)
+      : ref.courseSlug === index.details.url_slug;
+    if (!sameCourse) {
+      links.set(href, { ...link, kind: 'lesson', status: 'other-course' });
+      return;
+    }
+    const { page, ...resolved } = resolveLessonLink(ref, link.text, index);
+    links.set(href, {
+      ...link,
+      kind: 'lesson',
+      ...resolved,
+      ...(page && { page: { id: page.id, slug: page.slug, title: page.title } }),
+    });
+  };
+
+  for (const { type, markdown } of rendered.components) {
+    const prose = markdown.replace(/^```[\s\S]*?^```/gm, '');
+    for (const [, text, href] of prose.matchAll(MARKDOWN_LINK)) add(href, text, type);
+    for (const [, href, text] of prose.matchAll(HTML_LINK)) add(href, text, type);
+  }
+  return [...links.values()];
+}
+
+/**
+ * Read an allow/deny list for external links, a JSON file
+ * `{ "allow": [...], "deny": [...] }` of host names (matching their
+ * subdomains too) or URL prefixes.
+ * @param {string} [file] - No file means empty lists
+ * @returns {Promise<{ allow: string[], deny: string[] }>}
+ */
+export async function loadLinkRules(file) {
+  if (!file) return { allow: [], deny: [] };
+  const { allow = [], deny = [] } = JSON.parse(await readFile(file, 'utf-8'));
+  return { allow, deny };
+}
+
+function listed(url, list) {
+  const host = hostOf(new URL(url));
+  return list.some(entry => {
+    if (entry.includes('/')) return url.startsWith(entry);
+    const name = entry.replace(/^(\*\.|www\.)/, '');
+    return host === name || host.endsWith(`.${name}`);
+  });
+}
+
+/**
+ * Decides the `status` of external links, each URL once. Hosts on the deny
+ * list are `denied` and those on the allow list `allowed`, both without a
+ * request, so a run with lists covering every link never touches the
+ * network. Other links are only requested with `fetchExternal`: `ok`,
+ * `broken` (404, 410, 5xx or no response) or `unverified` (any other
+ * status, e.g. a 403 from bot protection).
+ * @param {Object} [options]
+ * @param {string[]} [options.allow]
+ * @param {string[]} [options.deny]
+ * @param {boolean} [options.fetchExternal]
+ * @param {number} [options.timeoutMs]
+ * @param {Function} [options.fetchUrl] - Replaces node-fetch, e.g. in tests
+ */
+export function createLinkChecker({ allow = [], deny = [], fetchExternal = false, timeoutMs = 10000, fetchUrl = fetch } = {}) {
+  const results = new Map();
+
+  const probe = async url => {
+    try {
+      let res = await fetchUrl(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+      // Some servers don't do HEAD
+      if (res.status === 405 || res.status === 501) {
+        res = await fetchUrl(url, { method: 'GET', redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+      }
+      if (res.ok) return { status: 'ok' };
+      const detail = `${res.status} ${res.statusText}`.trim();
+      return { status: res.status === 404 || res.status === 410 || res.status >= 500 ? 'broken' : 'unverified', detail };
+    } catch (err) {
+      return { status: 'broken', detail: err.message };
+    }
+  };
+
+  const decide = async url => {
+    if (listed(url, deny)) return { status: 'denied' };
+    if (listed(url, allow)) return { status: 'allowed' };
+    return fetchExternal ? probe(url) : null;
+  };
+
+  return {
+    /** `{ status, detail? }` for a URL, or null when it is left unchecked. */
+    check(url) {
+      if (!results.has(url)) results.set(url, decide(url));
+      return results.get(url);
+    },
+  };
+}
+
+/**
+ * Give the external links from collectLinks() a `status` (and `detail`)
+ * from a createLinkChecker() checker.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function checkLinks(links, checker) {
+  return Promise.all(links.map(async link => {
+    if (link.kind !== 'external') return link;
+    const result = await checker.check(link.url);
+    return result ? { ...link, ...result } : link;
+  }));
+}
+
+/**
+ * Lint findings for links: `link-missing-page` and `link-broken` (errors),
+ * `link-renamed-page` and `link-denied` (warnings).
+ * @param {Array<Object>} links - From collectLinks() or checkLinks()
+ */
+export function linkFindings(links) {
+  return links.flatMap(({ href, kind, status, page, detail, componentType }) => {
+    const location = { componentType, href };
+    if (kind === 'lesson' && status === 'missing') {
+      return [{ rule: 'link-missing-page', severity: 'error',
+        message: `Link to a lesson that is not in the course${detail ? ` (${detail})` : ''}`, location }];
+    }
+    if (kind === 'lesson' && status === 'renamed') {
+      return [{ rule: 'link-renamed-page', severity: 'warning',
+        message: `Link uses an old address of "${page.title}", now at "${page.slug}"`, location: { ...location, pageId: page.id } }];
+    }
+    if (kind === 'external' && status === 'broken') {
+      return [{ rule: 'link-broken', severity: 'error', message: `External link is broken: ${detail}`, location }];
+    }
+    if (kind === 'external' && status === 'denied') {
+      return [{ rule: 'link-denied', severity: 'warning', message: 'External link to a host on the deny list', location }];
+    }
+    return [];
+  });
+}
+
+function replaceHref(markdown, href, target) {
+  return markdown
+    .split(`](${href})`).join(`](${target})`)
+    .split(`](${href} `).join(`](${target} `)
+    .split(`](<${href}>`).join(`](<${target}>`)
+    .split(`href="${href}"`).join(`href="${target}"`)
+    .split(`href='${href}'`).join(`href='${target}'`);
+}
+
+/**
+ * Point the lesson links of a renderLesson() result (full Markdown and each
+ * component) at the exported files: relative paths from `fromFile`, keeping
+ * any `#anchor`. Links to pages `fileOf()` has no file for are left alone.
+ * @param {Object} rendered
+ * @param {Array<Object>} links - From collectLinks()
+ * @param {Object} options
+ * @param {string} options.fromFile - The lesson's own file, relative to the export folder
+ * @param {(page: Object) => string|null} options.fileOf - A TOC page's file, relative to the export folder
+ */
+export function relativizeLinks(rendered, links, { fromFile, fileOf }) {
+  const targets = links
+    .filter(link => link.kind === 'lesson' && link.page)
+    .map(link => {
+      const file = fileOf(link.page);
+      if (!file) return null;
+      const relative = posix.relative(posix.dirname(fromFile), file);
+      return [link.href, relative + new URL(link.url).hash];
+    })
+    .filter(Boolean);
+  const rewrite = markdown => targets.reduce((result, [href, target]) => replaceHref(result, href, target), markdown);
+  return {
+    ...rendered,
+    markdown: rewrite(rendered.markdown),
+    components: rendered.components.map(c => ({ ...c, markdown: rewrite(c.markdown) })),
+  };
+}
@@ -0,0 +1,166 @@
+import { JSDOM } from 'jsdom';
+import { walkComponents } from './lesson.mjs';
+import { linkFindings } from './links.mjs';
+import { readKatex } from './markdown.mjs';
+import { stripDelimiters, validateMath } from './math.mjs';
+
+/**
+ * Rule-based checks over a lesson's components and its course JSON. Each
+ * finding is `{ rule, severity, message, location }`, where severity is
+ * `error` (learners see something broken) or `warning` (likely a mistake),
+ * and location names the component (`componentIndex` into the lesson's
+ * `components`, `componentType`, and `container` when it sits inside e.g.
+ * `Columns`) plus rule-specific detail.
+ */
+
+function finding(rule, severity, message, location) {
+  return { rule, severity, message, location };
+}
+
+function textOf(html) {
+  return new JSDOM(`<body>${html}</body>`).window.document.body.textContent.trim();
+}
+
+function mathFindings(expression, location) {
+  const problems = validateMath(expression);
+  return problems.length
+    ? [finding('math-malformed', 'warning', `Malformed math: ${problems.join('; ')}`, { ...location, expression })]
+    : [];
+}
+
+const componentRules = {
+  Code(content, location) {
+    if (content.showSolution && !(content.solutionContent || '').trim()) {
+      return [finding('code-empty-solution', 'error',
+        'Code widget shows a solution, but the solution is empty', location)];
+    }
+    return [];
+  },
+
+  Quiz(content, location) {
+    return (content.questions || []).flatMap((q, questionIndex) => {
+      const correct = (q.questionOptions || []).filter(opt => opt.correct).length;
+      const where = { ...location, questionIndex, question: q.questionText };
+      if (correct === 0) {
+        return [finding('quiz-correct-options', 'error', 'Quiz question has no correct option', where)];
+      }
+      if (correct > 1) {
+        return [finding('quiz-correct-options', 'warning', `Quiz question has ${correct} correct options`, where)];
+      }
+      return [];
+    });
+  },
+
+  LazyLoadPlaceholder(content, location) {
+    return [finding('lazy-placeholder-unresolved', 'error',
+      'Deferred component was not loaded; the lesson is incomplete here', { ...location, ...content.unresolved })];
+  },
+
+  Permutation(content, location) {
+    const optionIds = new Set((content.options || []).map(opt => opt.hashid));
+    return (content.protected_content || [])
+      .filter(id => !optionIds.has(id))
+      .map(id => finding('permutation-missing-option', 'error',
+        `Solution order references option "${id}", which is not among the options`, { ...location, optionId: id }));
+  },
+
+  Table(content, location) {
+    const findings = [];
+    (content.data || []).forEach((cells, row) => {
+      cells.forEach((cellHtml, col) => {
+        if (!textOf(cellHtml || '')) {
+          findings.push(finding('table-empty-cell', 'warning', 'Table cell is empty', { ...location, row, col }));
+        }
+      });
+    });
+    return findings;
+  },
+
+  SlateHTML(content, location) {
+    const document = new JSDOM(content.html || '').window.document;
+    const images = [...document.querySelectorAll('img')]
+      .filter(img => !img.getAttribute('alt')?.trim())
+      .map(img => finding('image-missing-alt', 'warning', 'Image has no alt text', { ...location, src: img.getAttribute('src') }));
+    const math = [...document.querySelectorAll('katex')]
+      .flatMap(katex => mathFindings(readKatex(katex).expression, location));
+    return [...images, ...math];
+  },
+
+  Latex(content, location) {
+    return mathFindings(stripDelimiters(content.text || '').expression, location);
+  },
+
+  MarkdownEditor(content, location) {
+    return [...(content.text || '').matchAll(/!\[\s*\]\(([^)\s]+)/g)]
+      .map(([, src]) => finding('image-missing-alt', 'warning', 'Image has no alt text', { ...location, src }));
+  },
+};
+
+// Components whose headings are written by the author. Widget renderers add
+// their own `###` headings, which are not the author's to fix.
+const PROSE_TYPES = new Set(['SlateHTML', 'TableHTML', 'MarkdownEditor']);
+
+/**
+ * Headings in the lesson prose must not skip a level (e.g. `##` to `####`).
+ * The lesson title counts as the first `#`.
+ */
+function checkHeadingLevels(rendered, components) {
+  const findings = [];
+  let previous = 0;
+  for (const { type, markdown, source } of rendered.components) {
+    if (source && !PROSE_TYPES.has(type)) continue;
+    const withoutCode = markdown.replace(/^```[\s\S]*?^```/gm, '');
+    for (const [, hashes, text] of withoutCode.matchAll(/^(#{1,6})\s+(.*)$/gm)) {
+      const level = hashes.length;
+      if (previous && level > previous + 1) {
+        findings.push(finding('heading-skip', 'warning',
+          `Heading jumps from level ${previous} to ${level}`,
+          { componentIndex: source ? components.indexOf(source) : null, componentType: type, heading: text.trim() }));
+      }
+      previous = level;
+    }
+  }
+  return findings;
+}
+
+const COURSE_LIST_FIELDS = {
+  pages_with_unordered_headings: 'Pages with unordered headings',
+  pages_with_dangling_concepts: 'Pages with dangling concepts',
+};
+
+/**
+ * Course-level findings from the quality fields the platform already computes.
+ * @param {Object} course - Course JSON
+ */
+export function lintCourse(course) {
+  const details = course?.instance?.details || {};
+  return Object.entries(COURSE_LIST_FIELDS)
+    .filter(([field]) => Array.isArray(details[field]) && details[field].length)
+    .map(([field, label]) => finding(field.replace(/_/g, '-'), 'warning',
+      `${label}: ${details[field].length}`, { course: field, pages: details[field] }));
+}
+
+/**
+ * Lint one lesson.
+ * @param {Object} json - Lesson JSON
+ * @param {Object} rendered - renderLesson() result for the same lesson
+ * @param {Object} [context]
+ * @param {Object} [context.course] - Course JSON; adds the course-level findings
+ * @param {Array<Object>} [context.links] - From collectLinks(); adds the link findings
+ * @returns {Array<Object>} Findings, errors first
+ */
+export function lintLesson(json, rendered, { course, links } = {}) {
+  const components = json.components || [];
+  const findings = walkComponents(components).flatMap(({ component, index, container }) => {
+    const rule = componentRules[component.type];
+    const location = { componentIndex: index, componentType: component.type, ...(container && { container }) };
+    return rule ? rule(component.content || {}, location) : [];
+  });
+
+  findings.push(...checkHeadingLevels(rendered, components));
+  if (course) findings.push(...lintCourse(course));
+  if (links) findings.push(...linkFindings(links));
+
+  const order = { error: 0, warning: 1 };
+  return findings.sort((a, b) => order[a.severity] - order[b.severity]);
+}
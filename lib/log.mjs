@@ -0,0 +1,112 @@
+/**
+ * Logging with levels, human-readable or JSON-lines output, and redaction of
+ * session secrets. Every message and field goes through redact(), so cookies
+ * and tokens never reach stdout, CI logs or a log collector.
+ *
+ * The CLI and the service configure the shared `log` from the environment:
+ *
+ *   LOG_LEVEL   debug | info (default) | warn | error
+ *   LOG_FORMAT  text (default): the message on stdout, warnings and errors on stderr
+ *               json: one `{ time, level, msg, ...fields }` object per line on stderr,
+ *               so stdout stays free for the lesson output
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const REDACTED = '[REDACTED]';
+
+// Header and field names whose whole value is secret (compared lowercased)
+const SECRET_KEYS = new Set([
+  'cookie', 'set-cookie', 'cookies', 'cf_bp', '__cf_bp', 'cf_clearance', '__cf_bm',
+  'authorization', 'proxy-authorization', 'secure_cookie', 'cookieargs', 'cookiestring', 'headersjson',
+]);
+
+// Secrets inside free text: cookie pairs, auth schemes, and header lines or
+// input fields such as `cookieArgs: sess=…` and `{"headersJson":"{\"Cookie\":…}"}`
+const SECRET_PATTERNS = [
+  [/\b(cf_clearance|__cf_bp|cf_bp|__cf_bm)=[^;\s"',]+/gi, `$1=${REDACTED}`],
+  [/\b(Bearer|Basic)\s+[\w.~+/=-]+/g, `$1 ${REDACTED}`],
+  [/\b(cookieArgs|cookieString|headersJson|(?:set-)?cookie|authorization)(["']?\s*[:=]\s*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\{[^\n]*\}|[^\n,}]+)/gi,
+    (match, name, separator, value) => `${name}${separator}${/^["']/.test(value) ? value[0] + REDACTED + value[0] : REDACTED}`],
+];
+
+/**
+ * Copy of a value with secrets replaced by `[REDACTED]`: values under the
+ * secret keys above, at any depth, and secret-looking substrings of strings.
+ */
+export function redact(value) {
+  if (typeof value === 'string') {
+    return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  }
+  if (value instanceof Error) return redact(value.message);
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+      [key, SECRET_KEYS.has(key.toLowerCase()) && v ? REDACTED : redact(v)]));
+  }
+  return value;
+}
+
+function textLine(message, fields) {
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return [message, ...extra].join(' ');
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written, one of LOG_LEVELS
+ * @param {string} [options.format] - One of LOG_FORMATS
+ * @param {string} [options.infoStream] - `stdout` (default) or `stderr` for text-format debug and
+ *   info lines, e.g. when stdout carries the rendered lesson
+ * @param {Object} [options.fields] - Added to every entry, e.g. `{ job: id }`
+ * @returns {{ debug, info, warn, error, child, configure }} Each level takes `(message, fields?)`;
+ *   `child(fields)` shares this logger's settings and adds fields
+ */
+export function createLogger({ level = 'info', format = 'text', infoStream = 'stdout', fields = {} } = {}) {
+  const settings = { level, format, infoStream };
+
+  function configure(options) {
+    if (options.level && !LOG_LEVELS.includes(options.level)) {
+      throw new Error(`Unknown log level "${options.level}" (expected ${LOG_LEVELS.join(', ')})`);
+    }
+    if (options.format && !LOG_FORMATS.includes(options.format)) {
+      throw new Error(`Unknown log format "${options.format}" (expected ${LOG_FORMATS.join(', ')})`);
+    }
+    Object.assign(settings, Object.fromEntries(Object.entries(options).filter(([, v]) => v)));
+  }
+  configure(settings);
+
+  function make(baseFields) {
+    const write = entryLevel => (message, entryFields = {}) => {
+      if (LOG_LEVELS.indexOf(entryLevel) < LOG_LEVELS.indexOf(settings.level)) return;
+      const msg = redact(String(message));
+      const all = redact({ ...baseFields, ...entryFields });
+      if (settings.format === 'json') {
+        process.stderr.write(JSON.stringify({ time: new Date().toISOString(), level: entryLevel, msg, ...all }) + '\n');
+      } else if (entryLevel === 'warn' || entryLevel === 'error' || settings.infoStream === 'stderr') {
+        console.error(textLine(msg, all));
+      } else {
+        console.log(textLine(msg, all));
+      }
+    };
+    return {
+      debug: write('debug'),
+      info: write('info'),
+      warn: write('warn'),
+      error: write('error'),
+      child: extra => make({ ...baseFields, ...extra }),
+      configure,
+    };
+  }
+  return make(fields);
+}
+
+/** The process-wide logger the library writes to; see configure(). */
+export const log = createLogger();
+
+/** Apply LOG_LEVEL and LOG_FORMAT to the shared logger. */
+export function configureLogFromEnv(env = process.env) {
+  log.configure({ level: env.LOG_LEVEL, format: env.LOG_FORMAT });
+}
@@ -0,0 +1,74 @@
+import { JSDOM } from 'jsdom';
+import TurndownService from 'turndown';
+import { formatMath, stripDelimiters } from './math.mjs';
+
+export const turndownService = new TurndownService();
+
+// Optional: Configure ATX-style headers
+turndownService.addRule('headers', {
+  filter: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+  replacement: function (content, node) {
+    const hLevel = Number(node.nodeName.charAt(1));
+    return `${'#'.repeat(hLevel)} ${content}`;
+  }
+});
+
+/**
+ * The expression in an Educative `<katex>` element and whether it is display
+ * (block) math. The expression is in the `equation` attribute of a child, or
+ * failing that the element's text.
+ */
+export function readKatex(element) {
+  const equation = element.querySelector('[equation]');
+  const { expression, display } = stripDelimiters(equation?.getAttribute('equation') || element.textContent);
+  const block = element.hasAttribute('display') || element.hasAttribute('block') || element.getAttribute('inline') === 'false';
+  return { expression, display: display ?? block };
+}
+
+/**
+ * Replace `<katex>` elements with math in the given dialect, leaving the rest
+ * of the HTML as is.
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - See MATH_DIALECTS
+ */
+export function convertKatexToMarkdown(html, { dialect } = {}) {
+  const dom = new JSDOM(html);
+  const doc = dom.window.document;
+  doc.querySelectorAll('katex').forEach(katex => {
+    const { expression, display } = readKatex(katex);
+    katex.replaceWith(formatMath(expression, { display, dialect }));
+  });
+  return doc.body.innerHTML;
+}
+
+/**
+ * HTML (SlateHTML and friends) to Markdown. Math is swapped for placeholders
+ * while Turndown runs, so its escaping never touches the LaTeX, and put back
+ * in the chosen dialect afterwards.
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - See MATH_DIALECTS
+ */
+export function htmlToMarkdown(html, { dialect } = {}) {
+  const doc = new JSDOM(html).window.document;
+  const math = [];
+  doc.querySelectorAll('katex').forEach(katex => {
+    math.push(readKatex(katex));
+    katex.replaceWith(`KATEXMATH${math.length - 1}END`);
+  });
+  const markdown = turndownService.turndown(doc.body.innerHTML).replace(/\\_/g, '_');
+  return markdown.replace(/KATEXMATH(\d+)END/g, (_, i) =>
+    formatMath(math[i].expression, { display: math[i].display, dialect }));
+}
+
+/**
+ * Display math for a Latex widget. Newlines and environments such as
+ * `aligned` are kept; delimiters the author already added are not doubled.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.dialect] - See MATH_DIALECTS
+ */
+export function fixLatex(text, { dialect } = {}) {
+  return `${formatMath(stripDelimiters(text).expression, { display: true, dialect })}\n`;
+}
@@ -0,0 +1,93 @@
+import katex from 'katex';
+
+/**
+ * LaTeX math output. Expressions are kept as written, newlines and
+ * environments included, and wrapped for the chosen dialect:
+ *
+ *   github   $$…$$ for display, $…$ inline (GitHub, Obsidian, most n8n viewers)
+ *   mathjax  \[…\] for display, \(…\) inline
+ *   mathml   MathML rendered locally with KaTeX, for viewers without a math engine
+ */
+export const MATH_DIALECTS = ['github', 'mathjax', 'mathml'];
+
+const WRAPPERS = [
+  [/^\$\$([\s\S]*)\$\$$/, true],
+  [/^\\\[([\s\S]*)\\\]$/, true],
+  [/^\\\(([\s\S]*)\\\)$/, false],
+  [/^\$([\s\S]*)\$$/, false],
+];
+
+/**
+ * Remove delimiters an author already put around an expression.
+ * @returns {{ expression: string, display: boolean|null }} `display` is null when there were none
+ */
+export function stripDelimiters(text) {
+  const trimmed = text.trim();
+  for (const [pattern, display] of WRAPPERS) {
+    const match = trimmed.match(pattern);
+    if (match) return { expression: match[1].trim(), display };
+  }
+  return { expression: trimmed, display: null };
+}
+
+/**
+ * Problems with one expression: unbalanced braces, `\left`/`\right` counts,
+ * `\begin`/`\end` pairs that don't match, and stray `$` inside the expression.
+ * @param {string} expression - Without delimiters
+ * @returns {string[]} Empty when the expression looks well-formed
+ */
+export function validateMath(expression) {
+  const problems = [];
+  // Escaped characters (\{, \$, \\) don't count towards any balance
+  const plain = expression.replace(/\\[\\{}$]/g, '');
+
+  let depth = 0;
+  for (const ch of plain) {
+    if (ch === '{') depth++;
+    if (ch === '}' && --depth < 0) break;
+  }
+  if (depth !== 0) problems.push(depth > 0 ? `${depth} unclosed "{"` : 'unmatched "}"');
+
+  const lefts = (plain.match(/\\left(?![a-zA-Z])/g) || []).length;
+  const rights = (plain.match(/\\right(?![a-zA-Z])/g) || []).length;
+  if (lefts !== rights) problems.push(`${lefts} \\left but ${rights} \\right`);
+
+  const open = [];
+  for (const [, kind, name] of plain.matchAll(/\\(begin|end)\s*\{([^}]*)\}/g)) {
+    if (kind === 'begin') {
+      open.push(name);
+    } else if (!open.length) {
+      problems.push(`\\end{${name}} without \\begin`);
+    } else if (open[open.length - 1] !== name) {
+      problems.push(`\\begin{${open.pop()}} closed by \\end{${name}}`);
+    } else {
+      open.pop();
+    }
+  }
+  for (const name of open) problems.push(`\\begin{${name}} is never closed`);
+
+  if (plain.includes('$')) problems.push('unescaped "$" inside the expression');
+  return problems;
+}
+
+/**
+ * Wrap an expression for the dialect.
+ * @param {string} expression - Without delimiters
+ * @param {Object} [options]
+ * @param {boolean} [options.display] - Block (display) rather than inline math
+ * @param {string} [options.dialect] - One of MATH_DIALECTS, default `github`
+ * @returns {string}
+ */
+export function formatMath(expression, { display = false, dialect = 'github' } = {}) {
+  const expr = expression.trim();
+  switch (dialect) {
+    case 'github':
+      return display ? `$$\n${expr}\n$$` : `$${expr}$`;
+    case 'mathjax':
+      return display ? `\\[\n${expr}\n\\]` : `\\(${expr}\\)`;
+    case 'mathml':
+      return katex.renderToString(expr, { output: 'mathml', displayMode: display, throwOnError: false });
+    default:
+      throw new Error(`Unknown math dialect "${dialect}" (expected ${MATH_DIALECTS.join(', ')})`);
+  }
+}
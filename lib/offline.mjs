@@ -0,0 +1,119 @@
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename, join } from 'path';
+import { extractAssessments } from './assessments.mjs';
+import { collectAssets } from './assets.mjs';
+import { findPageById } from './toc.mjs';
+import { renderLesson } from './lesson.mjs';
+import { lintLesson } from './lint.mjs';
+import { checkLinks, collectLinks } from './links.mjs';
+import { buildLessonDocument } from './structured.mjs';
+import { writeWorkspaces } from './workspaces.mjs';
+
+async function readJson(file) {
+  return JSON.parse(await readFile(file, 'utf-8'));
+}
+
+/**
+ * Render a saved lesson JSON without touching the network.
+ * The page id (for looking up the title in the course TOC) comes from
+ * `options.pageId` or, failing that, from a numeric file name such as
+ * `6088814712848384.json`.
+ * @param {string} lessonFile - Saved lesson JSON
+ * @param {Object} [options]
+ * @param {string} [options.courseFile] - Saved course JSON, e.g. .cache/<course id>/course.json
+ * @param {string|number} [options.pageId]
+ * @param {boolean} [options.reviewer] - See renderLesson()
+ * @param {string} [options.mathDialect] - See renderLesson()
+ * @param {string} [options.columnLayout] - See renderLesson()
+ * @param {string} [options.workspaceDir] - Also write the code widgets to `<workspaceDir>/<page slug>/`
+ *   and syntax-check them; see writeWorkspaces()
+ * @param {Object} [options.linkChecker] - From createLinkChecker(); checks the external links too
+ * @returns {Promise<Object>} renderLesson() result plus the structured `document`, lint `findings`
+ *   the `assets` and `links` it has (lesson links resolved with the course JSON), its assessment
+ *   `questions` (see extractAssessments()) and, with `workspaceDir`, the `codeChecks`
+ */
+export async function renderLessonFile(lessonFile, { courseFile, pageId, reviewer, mathDialect, columnLayout, workspaceDir, linkChecker } = {}) {
+  const json = await readJson(lessonFile);
+  const id = pageId ?? basename(lessonFile, '.json');
+  const course = courseFile ? await readJson(courseFile) : null;
+  const found = course ? findPageById(course, id) : null;
+  const rendered = renderLesson(json, { title: found?.page.title, reviewer, mathDialect, columnLayout });
+  let links = collectLinks(rendered, { course });
+  if (linkChecker) links = await checkLinks(links, linkChecker);
+  return {
+    ...rendered,
+    document: buildLessonDocument(rendered, { course, pageId: id }),
+    findings: lintLesson(json, rendered, { course, links }),
+    assets: collectAssets(rendered),
+    links,
+    questions: extractAssessments(json, { title: found?.page.title }),
+    ...(workspaceDir && { codeChecks: await writeWorkspaces(json, { dir: join(workspaceDir, found?.page.slug || String(id)), root: workspaceDir }) }),
+  };
+}
+
+function firstDifference(actual, expected) {
+  const a = actual.split('\n');
+  const e = expected.split('\n');
+  for (let i = 0; i < Math.max(a.length, e.length); i++) {
+    if (a[i] !== e[i]) {
+      return `line ${i + 1}:\n    expected: ${JSON.stringify(e[i] ?? '<end of file>')}\n    actual:   ${JSON.stringify(a[i] ?? '<end of file>')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Golden-file check: render every `<name>.json` under `<dir>/lessons` and
+ * compare it with the committed `<name>.md` next to it. A `<name>.options.json`
+ * beside a lesson holds its render options (`reviewer`, `mathDialect`,
+ * `columnLayout`). The course JSON is used for title lookups: `courseFile`,
+ * or `<dir>/course.json` when present. With `update`, the `.md` files are
+ * rewritten from the current output instead.
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {boolean} [options.update]
+ * @param {string} [options.courseFile]
+ * @returns {Promise<{ passed: string[], failed: Array<{ name: string, reason: string }> }>}
+ */
+export async function checkGoldenFiles(dir, { update = false, courseFile = join(dir, 'course.json') } = {}) {
+  const lessonsDir = join(dir, 'lessons');
+  const passed = [];
+  const failed = [];
+
+  const files = (await readdir(lessonsDir)).filter(f => f.endsWith('.json') && !f.endsWith('.options.json')).sort();
+  for (const file of files) {
+    const name = basename(file, '.json');
+    const goldenFile = join(lessonsDir, `${name}.md`);
+    const optionsFile = join(lessonsDir, `${name}.options.json`);
+    const { reviewer, mathDialect, columnLayout } = existsSync(optionsFile) ? await readJson(optionsFile) : {};
+    const { markdown } = await renderLessonFile(join(lessonsDir, file), {
+      courseFile: existsSync(courseFile) ? courseFile : undefined,
+      reviewer,
+      mathDialect,
+      columnLayout,
+    });
+
+    if (update) {
+      await writeFile(goldenFile, markdown, 'utf-8');
+      passed.push(name);
+      continue;
+    }
+    if (!existsSync(goldenFile)) {
+      failed.push({ name, reason: `missing golden file ${goldenFile}` });
+      continue;
+    }
+    const difference = firstDifference(markdown, await readFile(goldenFile, 'utf-8'));
+    if (difference) failed.push({ name, reason: difference });
+    else passed.push(name);
+  }
+  return { passed, failed };
+}
+
+export async function runGoldenCheck(dir, options) {
+  const { passed, failed } = await checkGoldenFiles(dir, options);
+  for (const name of passed) console.log(`✅ ${name}`);
+  for (const { name, reason } of failed) console.error(`❌ ${name}: ${reason}`);
+  console.log(`\n${passed.length} passed, ${failed.length} failed`);
+  return failed.length === 0;
+}
@@ -0,0 +1,98 @@
+export const type = 'Code';
+
+const fence = (code, lang) => `\`\`\`${lang}\n${code.trim()}\n\`\`\`\n`;
+const collapsible = (summary, body) => `<details>\n<summary>${summary}</summary>\n\n${body}</details>\n`;
+
+/**
+ * Flatten the widget's extra files into `{ fileName, code, language, hidden }`.
+ * They come as a map keyed by file name like one language of CodeTest's
+ * `additionalFiles`, or as a WebpackBin-style tree under
+ * `codeContents.children`. Also used to extract code workspaces.
+ */
+export function collectAdditionalFiles(content, lang) {
+  const files = [];
+  const add = (fileName, file = {}) => {
+    const code = file.content ?? file.codeContents?.content ?? '';
+    if (!code.trim()) return;
+    files.push({ fileName, code, language: file.language || lang, hidden: Boolean(file.hidden) });
+  };
+
+  for (const [fileName, file] of Object.entries(content.additionalFiles || {})) {
+    add(fileName, file);
+  }
+  const traverse = (children = [], dir = '') => {
+    for (const node of children) {
+      const name = node.module || node.name;
+      if (node.leaf) {
+        add(dir + name, node.data);
+      } else if (node.children) {
+        traverse(node.children, name ? `${dir}${name}/` : dir);
+      }
+    }
+  };
+  traverse(content.codeContents?.children);
+  return files;
+}
+
+// Judge code sits where WebpackBin keeps it
+const judgeCodeOf = content => content.codeContents?.judge?.evaluationContent || '';
+
+// Unlike the file layouts and judge code, the run settings (and `stdin`,
+// `expectedOutput`) have not been seen in a captured lesson yet;
+// fixtures/lessons/code-widget.json pins how they render
+function runFlags(content) {
+  const flags = [];
+  if (content.runnable) flags.push('runnable');
+  if (judgeCodeOf(content).trim()) flags.push('judged');
+  if (content.enableStdin) flags.push('stdin enabled');
+  if (content.treatOutputAsHTML) flags.push('HTML output');
+  if (content.timeLimit) flags.push(`time limit ${content.timeLimit}s`);
+  return flags;
+}
+
+/**
+ * Render a Code widget: the learner's code plus whatever else the widget
+ * carries (extra files, stdin, expected output, judge code, solution).
+ * Hidden files and solutions the learner can't see are left out unless
+ * `ctx.options.reviewer` is set.
+ */
+export default function renderCode(x, ctx = {}) {
+  const content = x.content;
+  const reviewer = Boolean(ctx.options?.reviewer);
+  const lang = content.language || '';
+  const caption = content.caption ? `**${content.caption}**\n\n` : '';
+  const learnerCode = content.content || '';
+  const solutionCode = content.solutionContent || '';
+  const showSolution = content.showSolution;
+
+  // Learner's code block
+  let markdown = `${caption}\`\`\`${lang}\n${learnerCode.trim()}\n\`\`\`\n`;
+
+  const flags = runFlags(content);
+  if (flags.length) markdown += `\n_${flags.join(' · ')}_\n`;
+
+  for (const file of collectAdditionalFiles(content, lang)) {
+    if (file.hidden && !reviewer) continue;
+    const summary = file.hidden ? `${file.fileName} (hidden)` : file.fileName;
+    markdown += `\n${collapsible(summary, fence(file.code, file.language))}`;
+  }
+
+  if (content.stdin?.trim()) {
+    markdown += `\n${collapsible('Input (stdin)', fence(content.stdin, 'text'))}`;
+  }
+  if (content.expectedOutput?.trim()) {
+    markdown += `\n${collapsible('Expected output', fence(content.expectedOutput, 'text'))}`;
+  }
+
+  const judgeCode = judgeCodeOf(content);
+  if (judgeCode.trim()) {
+    markdown += `\n${collapsible('🔍 Evaluation Code', fence(judgeCode, lang))}`;
+  }
+
+  // Add collapsible solution if present and allowed (always in reviewer mode)
+  if (solutionCode.trim() && (showSolution || reviewer)) {
+    const summary = showSolution ? ' Solution' : ' Solution (hidden from learners)';
+    markdown += collapsible(summary, fence(solutionCode, lang));
+  }
+  return markdown;
+}
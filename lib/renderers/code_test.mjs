@@ -0,0 +1,36 @@
+export const type = 'CodeTest';
+
+export default function renderCodeTest(x) {
+  let markdown = `### CodeTest: ${x.content.caption || ''}\n`;
+
+  const languageContents = x.content.languageContents || {};
+  const additionalFiles = x.content.additionalFiles || {};
+
+  // Loop through all languages (Python, Java, etc.)
+  for (const [lang, langBlock] of Object.entries(languageContents)) {
+    markdown += `\n#### Language: ${lang}\n`;
+
+    const mainFileName = langBlock.mainFileName || `main.${lang.toLowerCase()}`;
+    const mainCode = langBlock.codeContents?.content || '';
+
+    if (mainCode) {
+      markdown += `\n<details>\n<summary>${mainFileName}</summary>\n\n\`\`\`${lang.toLowerCase()}\n${mainCode}\n\`\`\`\n</details>\n`;
+    }
+
+    // Additional files for this language
+    const extras = additionalFiles[lang] || {};
+    for (const [fileName, fileObj] of Object.entries(extras)) {
+      const extraCode = fileObj.codeContents?.content || '';
+      if (extraCode) {
+        markdown += `\n<details>\n<summary>${fileName}</summary>\n\n\`\`\`${lang.toLowerCase()}\n${extraCode}\n\`\`\`\n</details>\n`;
+      }
+    }
+  }
+
+  // Include solution (if available)
+  if (x.content.solution?.content) {
+    const lang = x.content.solution.language || 'text';
+    markdown += `\n<details>\n<summary>💡 Solution</summary>\n\n\`\`\`${lang.toLowerCase()}\n${x.content.solution.content}\n\`\`\`\n</details>\n`;
+  }
+  return markdown;
+}
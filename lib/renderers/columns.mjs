@@ -0,0 +1,23 @@
+export const type = 'Columns';
+
+/**
+ * `sections` (default): one column after the other, as plain Markdown.
+ * `html`: side by side in an HTML table, with Markdown inside the cells.
+ */
+export const COLUMN_LAYOUTS = ['sections', 'html'];
+
+// Each column is itself a component, rendered like any top-level one, so
+// code, images, tables and nested columns inside a column are kept
+export default function renderColumns(x, ctx) {
+  const columns = (x.content.comps || [])
+    .map(col => ctx.renderComponent(col)?.trim())
+    .filter(Boolean);
+  if (!columns.length) return null;
+
+  if (ctx.options.columnLayout !== 'html') {
+    return columns.join('\n\n') + '\n';
+  }
+  // Blank lines around each cell let GitHub-style renderers parse its Markdown
+  const cells = columns.map(markdown => `<td valign="top">\n\n${markdown}\n\n</td>`);
+  return `<table>\n<tr>\n${cells.join('\n')}\n</tr>\n</table>\n`;
+}
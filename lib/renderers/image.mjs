@@ -0,0 +1,18 @@
+export const types = ['Image', 'DrawIOWidget'];
+
+// Image-bearing widgets become a Markdown image so the asset pass can pick
+// them up. Relative paths are resolved later against the course's baseImagePath.
+// Only `path` is read. No captured Image or DrawIOWidget has confirmed the
+// field yet, so a widget without one is shown as a gap rather than dropped.
+export default function renderImage(x) {
+  const src = x.content?.path;
+  const diagram = x.type === 'DrawIOWidget';
+  if (!src) {
+    return `> ⚠️ ${diagram ? 'A diagram' : 'An image'} was not rendered: the ${x.type} widget has no image \`path\`.\n`;
+  }
+
+  const alt = x.content.alt || x.content.caption || (diagram ? 'Diagram' : '');
+  let markdown = `![${alt}](${src})\n`;
+  if (x.content.caption) markdown += `\n_${x.content.caption}_\n`;
+  return markdown;
+}
@@ -0,0 +1,80 @@
+import { existsSync } from 'fs';
+import { readdir } from 'fs/promises';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { log } from '../log.mjs';
+import * as code from './code.mjs';
+import * as codeTest from './code_test.mjs';
+import * as columns from './columns.mjs';
+import * as image from './image.mjs';
+import * as latex from './latex.mjs';
+import * as lazyLoadPlaceholder from './lazy_load_placeholder.mjs';
+import * as markdownEditor from './markdown_editor.mjs';
+import * as matchTheAnswers from './match_the_answers.mjs';
+import * as permutation from './permutation.mjs';
+import * as quiz from './quiz.mjs';
+import * as skipped from './skipped.mjs';
+import * as slateHtml from './slate_html.mjs';
+import * as table from './table.mjs';
+import * as webpackBin from './webpack_bin.mjs';
+
+/**
+ * Component renderers keyed by component type. A renderer receives the raw
+ * component (`{ type, content }`) plus a render context and returns Markdown,
+ * or `null` to leave the component out of the lesson.
+ */
+const registry = new Map();
+
+export function registerRenderer(type, render) {
+  if (typeof render !== 'function') {
+    throw new TypeError(`Renderer for "${type}" must be a function`);
+  }
+  registry.set(type, render);
+}
+
+export function getRenderer(type) {
+  return registry.get(type);
+}
+
+/**
+ * Register a renderer module: it default-exports the render function and
+ * names the component type(s) it handles via `type` or `types`.
+ */
+export function registerRendererModule(mod, source = 'renderer module') {
+  const types = mod.types || (mod.type ? [mod.type] : []);
+  if (!types.length) {
+    throw new Error(`${source} must export "type" or "types"`);
+  }
+  for (const type of types) registerRenderer(type, mod.default);
+  return types;
+}
+
+/**
+ * Load every `.mjs`/`.js` renderer module from a config directory. Later
+ * registrations win, so a module here can replace a built-in renderer.
+ * A missing directory is not an error.
+ * @param {string} dir
+ * @returns {Promise<string[]>} Component types registered from the directory
+ */
+export async function loadRenderers(dir) {
+  if (!dir || !existsSync(dir)) return [];
+
+  const registered = [];
+  const files = (await readdir(dir)).filter(f => /\.m?js$/.test(f)).sort();
+  for (const file of files) {
+    const fullPath = resolve(join(dir, file));
+    const mod = await import(pathToFileURL(fullPath).href);
+    registered.push(...registerRendererModule(mod, fullPath));
+  }
+  if (registered.length) {
+    log.info(`🧩 Loaded renderers from ${dir}: ${registered.join(', ')}`);
+  }
+  return registered;
+}
+
+for (const mod of [
+  slateHtml, latex, markdownEditor, code, skipped, columns, quiz,
+  webpackBin, matchTheAnswers, table, permutation, codeTest, image, lazyLoadPlaceholder,
+]) {
+  registerRendererModule(mod);
+}
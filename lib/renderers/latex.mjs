@@ -0,0 +1,7 @@
+import { fixLatex } from '../markdown.mjs';
+
+export const type = 'Latex';
+
+export default function renderLatex(x, ctx = {}) {
+  return fixLatex(x.content.text, { dialect: ctx.options?.mathDialect });
+}
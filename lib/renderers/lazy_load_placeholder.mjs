@@ -0,0 +1,8 @@
+export const type = 'LazyLoadPlaceholder';
+
+// Still in the lesson only when resolveLazyComponents() could not load the
+// deferred component (or was never run, as offline); mark the gap.
+export default function renderLazyLoadPlaceholder(x) {
+  const reason = x.content?.unresolved?.reason;
+  return `> ⚠️ Part of this lesson was not loaded${reason ? ` (${reason})` : ''}; the export is incomplete here.\n`;
+}
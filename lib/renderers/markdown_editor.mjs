@@ -0,0 +1,5 @@
+export const type = 'MarkdownEditor';
+
+export default function renderMarkdownEditor(x) {
+  return x.content.text;
+}
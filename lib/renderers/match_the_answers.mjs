@@ -0,0 +1,17 @@
+export const type = 'MatchTheAnswers';
+
+export default function renderMatchTheAnswers(x) {
+  let markdown = `### Match the Answers\n\n`;
+
+  const pairs = x.content.content.statements?.[0] || [];
+
+  pairs.forEach((pair, idx) => {
+    const left = pair.left?.text?.trim() || '—';
+    const right = pair.right?.text?.trim() || 'None provided';
+    markdown += `**${idx + 1}.** ${left}\n Match: *${right}*\n\n`;
+    if (pair.explanation) {
+      markdown += `> Explanation: ${pair.explanation}\n\n`;
+    }
+  });
+  return markdown;
+}
@@ -0,0 +1,31 @@
+export const type = 'Permutation';
+
+export default function renderPermutation(x) {
+  const prompt = x.content.question_statement || 'Reorder the following steps:';
+  const options = x.content.options || [];
+  const protectedOrder = x.content.protected_content || [];
+
+  let markdown = `### Reorder the Steps\n\n**${prompt}**\n\n`;
+
+  // Display unordered options as "cards"
+  options.forEach(opt => {
+    const stepText = opt.content?.data?.trim() || '—';
+    markdown += `- ${stepText}\n`;
+  });
+
+  // Map for solution lookup
+  const idToTextMap = Object.fromEntries(
+    options.map(opt => [opt.hashid, opt.content?.data?.trim() || '—'])
+  );
+
+  // Add collapsible solution
+  if (protectedOrder.length) {
+    markdown += `\n<details>\n<summary> Solution</summary>\n\n`;
+    protectedOrder.forEach((hashId, idx) => {
+      const line = idToTextMap[hashId] || '(missing)';
+      markdown += `${idx + 1}. ${line}\n`;
+    });
+    markdown += `\n</details>\n`;
+  }
+  return markdown;
+}
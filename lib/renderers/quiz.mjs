@@ -0,0 +1,18 @@
+export const type = 'Quiz';
+
+export default function renderQuiz(x) {
+  const quiz = x.content;
+  let markdown = `### Quiz: ${quiz.title || ''}\n\n`;
+
+  quiz.questions.forEach((q, i) => {
+    markdown += `**Q${i + 1}: ${q.questionText}**\n`;
+
+    q.questionOptions.forEach(opt => {
+      const mark = opt.correct ? '[x]' : '[ ]';
+      markdown += `- ${mark} ${opt.text}\n`;
+    });
+
+    markdown += '\n';
+  });
+  return markdown;
+}
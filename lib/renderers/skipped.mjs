@@ -0,0 +1,7 @@
+// Components with nothing a reader of the exported lesson can use.
+// Returning null drops them from the output without reporting them as unhandled.
+export const types = ['PromptAI', 'Notepad'];
+
+export default function renderSkipped() {
+  return null;
+}
@@ -0,0 +1,7 @@
+import { htmlToMarkdown } from '../markdown.mjs';
+
+export const types = ['SlateHTML', 'TableHTML'];
+
+export default function renderSlateHtml(x, ctx = {}) {
+  return htmlToMarkdown(x.content.html, { dialect: ctx.options?.mathDialect });
+}
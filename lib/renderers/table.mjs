@@ -0,0 +1,21 @@
+import { turndownService } from '../markdown.mjs';
+
+export const type = 'Table';
+
+export default function renderTable(x) {
+  const rows = x.content.data;
+  if (!rows.length) return '';
+
+  // Parse header row
+  const headerCells = rows[0].map(cellHtml => turndownService.turndown(cellHtml).trim());
+  const header = `| ${headerCells.join(' | ')} |`;
+  const divider = `| ${headerCells.map(() => '---').join(' | ')} |`;
+
+  // Parse remaining rows
+  const body = rows.slice(1).map(row => {
+    const cells = row.map(cellHtml => turndownService.turndown(cellHtml).trim());
+    return `| ${cells.join(' | ')} |`;
+  });
+
+  return `${header}\n${divider}\n${body.join('\n')}\n`;
+}
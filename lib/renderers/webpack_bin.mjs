@@ -0,0 +1,44 @@
+export const type = 'WebpackBin';
+
+export default function renderWebpackBin(x) {
+  let markdown = `### WebpackBin Playground\n`;
+
+  // Step 1: Note the framework and environment
+  const enabledLoader = Object.entries(x.content.loaders || {}).find(([key, loader]) => loader.enabled);
+  if (enabledLoader) {
+    const [loaderKey, loader] = enabledLoader;
+    markdown += `**Environment:** ${loader.title}\n\n`;
+  }
+
+  // Step 2: Loop through file structure
+  const allFiles = [];
+  const traverse = (children = []) => {
+    for (const node of children) {
+      if (node.leaf && node.data?.content) {
+        allFiles.push({
+          fileName: node.module,
+          code: node.data.content,
+          language: node.data.language || 'javascript'
+        });
+      } else if (node.children) {
+        traverse(node.children);
+      }
+    }
+  };
+  traverse(x.content.codeContents.children);
+
+  for (const file of allFiles) {
+    markdown += `\n<details>\n<summary>${file.fileName}</summary>\n\n\`\`\`${file.language}\n${file.code}\n\`\`\`\n</details>\n`;
+  }
+
+  // Step 3: Mention if evaluation exists
+  if (x.content.codeContents.judge?.evaluationContent) {
+    markdown += `\n<details>\n<summary>🔍 Evaluation Code</summary>\n\n\`\`\`javascript\n${x.content.codeContents.judge.evaluationContent}\n\`\`\`\n</details>\n`;
+  }
+
+  // Optional: Note on Docker Job
+  if (x.content.dockerJob?.name) {
+    markdown += `\n_This widget runs in a **Live Docker container**: \`${x.content.dockerJob.name}\`_\n`;
+  }
+  return markdown;
+}
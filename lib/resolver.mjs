@@ -0,0 +1,84 @@
+import { categorizedError } from './errors.mjs';
+
+/**
+ * Lesson URL shapes, and what each says about the lesson:
+ *
+ *   /courses/<course-slug>/<lesson-slug>                course and lesson slugs
+ *   /courses/<course-slug>/<page-id>                    course slug and page id
+ *   /collection/page/<author-id>/<collection-id>/<page-id>
+ *   /api/collection/<author-id>/<collection-id>/page/<page-id>
+ *                                                       everything: no page render needed
+ *
+ * Anything else is resolved the old way, from the rendered page's title.
+ */
+const SHAPES = [
+  [/^\/api\/collection\/(\d+)\/(\d+)\/page\/(\d+)\/?$/, ([authorId, collectionId, pageId]) => ({ authorId, collectionId, pageId })],
+  [/^\/collection\/page\/(\d+)\/(\d+)\/(\d+)\/?$/, ([authorId, collectionId, pageId]) => ({ authorId, collectionId, pageId })],
+  [/^\/courses\/([^/]+)\/(\d+)\/?$/, ([courseSlug, pageId]) => ({ courseSlug, pageId })],
+  [/^\/courses\/([^/]+)\/([^/]+)\/?$/, ([courseSlug, lessonSlug]) => ({ courseSlug, lessonSlug })],
+];
+
+/**
+ * What a lesson URL identifies.
+ * @param {string} url
+ * @returns {{ origin: string, authorId?: string, collectionId?: string, courseSlug?: string,
+ *   lessonSlug?: string, pageId?: string }} Only `origin` when the shape is not recognised
+ */
+export function parseLessonUrl(url) {
+  const { origin, pathname } = new URL(url);
+  for (const [pattern, fields] of SHAPES) {
+    const match = pathname.match(pattern);
+    if (match) return { origin, ...fields(match.slice(1).map(decodeURIComponent)) };
+  }
+  return { origin };
+}
+
+/** Course API URL, the one lessons hang off as `<courseUrl>/page/<id>`. */
+export function courseApiUrl(origin, authorId, collectionId) {
+  return `${origin}/api/collection/${authorId}/${collectionId}`;
+}
+
+function pagesWhere(course, matches) {
+  return course.instance.details.toc.categories.flatMap(category =>
+    (category.pages || []).filter(matches).map(page => ({ category, page })));
+}
+
+function onlyOne(found, what, url) {
+  if (found.length > 1) {
+    const where = found.map(({ category, page }) => `"${category.title}" (id ${page.id})`).join(', ');
+    throw categorizedError('ambiguous-page', `${found.length} lessons match ${what}: ${where}. Use a URL with the lesson slug or page id.`, { url });
+  }
+  return found[0] ?? null;
+}
+
+/**
+ * Find a lesson in the course TOC by page id, else slug, else title. Slugs
+ * and titles that match several pages are an error rather than a guess.
+ * @param {Object} course - Course JSON
+ * @param {Object} ref
+ * @param {string|number} [ref.pageId]
+ * @param {string} [ref.lessonSlug]
+ * @param {string} [ref.title]
+ * @param {string} [ref.url] - For the error message
+ * @returns {{ category: Object, page: Object }}
+ * @throws {Error} in the `slug-not-found` category when nothing matches, `ambiguous-page` when several do
+ */
+export function findLessonPage(course, { pageId, lessonSlug, title, url }) {
+  let found = null;
+  let what;
+  if (pageId != null) {
+    what = `page id ${pageId}`;
+    found = onlyOne(pagesWhere(course, page => String(page.id) === String(pageId)), what, url);
+  } else if (lessonSlug) {
+    what = `slug "${lessonSlug}"`;
+    found = onlyOne(pagesWhere(course, page => page.slug === lessonSlug), what, url);
+  } else if (title) {
+    what = `title "${title}"`;
+    found = onlyOne(pagesWhere(course, page => page.title === title), what, url);
+  }
+  if (!found) {
+    throw categorizedError('slug-not-found',
+      `No lesson with ${what || 'a page id, slug or title'} in course "${course.instance.details.title}"`, { url });
+  }
+  return found;
+}
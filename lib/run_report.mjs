@@ -0,0 +1,64 @@
+import { mkdir, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { redact } from './log.mjs';
+
+/**
+ * Number of rendered components of each type, e.g. `{ Code: 3, SlateHTML: 5 }`.
+ * @param {Array<{ type: string }>} components - renderLesson() `components`
+ */
+export function countComponents(components = []) {
+  const counts = {};
+  for (const { type } of components) counts[type] = (counts[type] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Record of one CLI run: each lesson processed (URL, status, time taken,
+ * component counts, unhandled types) and every error, written as JSON at the
+ * end. Errors are redacted like log output.
+ * @param {Object} [options]
+ * @param {string} [options.command] - What was run, e.g. `lesson`, `course`
+ */
+export function createRunReport({ command } = {}) {
+  const startedAt = new Date();
+  const lessons = [];
+  const errors = [];
+
+  return {
+    /**
+     * Add a processed lesson.
+     * @param {Object} entry - `{ url, title, status, durationMs, components, unhandledTypes, error, code, category }`;
+     *   `status` is `done`, `unchanged` or `failed`
+     */
+    addLesson(entry) {
+      lessons.push(redact(entry));
+      if (entry.error) errors.push(redact({ url: entry.url, title: entry.title, code: entry.code, category: entry.category, message: entry.error }));
+    },
+
+    /** Add an error that is not tied to one lesson, e.g. a failed course lookup. */
+    addError(err, fields = {}) {
+      errors.push(redact({ ...fields, code: err.code, message: err.message }));
+    },
+
+    toJSON() {
+      const finishedAt = new Date();
+      const count = status => lessons.filter(l => l.status === status).length;
+      return {
+        command,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        totals: { lessons: lessons.length, done: count('done'), unchanged: count('unchanged'), failed: count('failed') },
+        unhandledTypes: [...new Set(lessons.flatMap(l => l.unhandledTypes || []))],
+        lessons,
+        errors,
+      };
+    },
+
+    async write(file) {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(this.toJSON(), null, 2), 'utf-8');
+      return file;
+    },
+  };
+}
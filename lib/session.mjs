@@ -0,0 +1,146 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * Session handling: cookie import from a cookie-jar file, cookie injection
+ * into Chromium pages, and detection of responses that mean the session is
+ * no longer valid (login redirect, 401/403, Cloudflare challenge).
+ */
+
+const LOGIN_PATH = /\/(login|signin|sign-in|accounts\/login)(\/|\?|$)/i;
+
+const CHALLENGE_MARKERS = [
+  '<title>Just a moment...</title>',
+  'Attention Required! | Cloudflare',
+  'Checking your browser before accessing',
+  '/cdn-cgi/challenge-platform/',
+  'id="challenge-form"',
+  'cf-browser-verification',
+];
+
+/**
+ * The error every session check throws. `code` is `SESSION_EXPIRED` and
+ * `reason` one of `login-redirect`, `forbidden` or `challenge`.
+ */
+export function sessionExpiredError(reason, url, detail) {
+  const err = new Error(`Session expired (${reason}) at ${url}${detail ? `: ${detail}` : ''}. Refresh the cookies and try again.`);
+  err.code = 'SESSION_EXPIRED';
+  err.reason = reason;
+  err.url = url;
+  return err;
+}
+
+export function isSessionExpired(err) {
+  return err?.code === 'SESSION_EXPIRED';
+}
+
+/**
+ * Throw sessionExpiredError() if a response looks like the session is gone.
+ * Call it before parsing the body.
+ * @param {Object} response
+ * @param {string} response.url - URL that was requested
+ * @param {string} [response.finalUrl] - URL after redirects
+ * @param {number} [response.status]
+ * @param {string} [response.body] - Response text; checked for challenge pages when it is `text/html`
+ * @param {Object} [response.headers] - Lower-case response headers
+ */
+export function checkSession({ url, finalUrl, status, body = '', headers = {} }) {
+  if (finalUrl && finalUrl !== url && LOGIN_PATH.test(new URL(finalUrl).pathname) && !LOGIN_PATH.test(new URL(url).pathname)) {
+    throw sessionExpiredError('login-redirect', url, `redirected to ${finalUrl}`);
+  }
+  // A JSON lesson may well quote a challenge page, e.g. one about Cloudflare
+  const html = /^\s*text\/html\b/i.test(headers['content-type'] || '');
+  if (headers['cf-mitigated'] === 'challenge' || (html && CHALLENGE_MARKERS.some(marker => body.includes(marker)))) {
+    throw sessionExpiredError('challenge', url, 'Cloudflare challenge page');
+  }
+  if (status === 401 || status === 403) {
+    throw sessionExpiredError('forbidden', url, `HTTP ${status}`);
+  }
+}
+
+function parseNetscapeCookies(text) {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      line = line.slice('#HttpOnly_'.length);
+      httpOnly = true;
+    } else if (!line.trim() || line.startsWith('#')) {
+      continue;
+    }
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+    const [domain, , path, secure, expires, name, ...value] = fields;
+    cookies.push({
+      name,
+      value: value.join('\t'),
+      domain,
+      path,
+      secure: secure.toUpperCase() === 'TRUE',
+      httpOnly,
+      expires: Number(expires) || undefined,
+    });
+  }
+  return cookies;
+}
+
+function parseJsonCookies(text) {
+  const data = JSON.parse(text);
+  // Cookie-Editor / EditThisCookie export an array; Playwright and Puppeteer storage state wrap it
+  const list = Array.isArray(data) ? data : data.cookies;
+  if (!Array.isArray(list)) throw new Error('expected an array of cookies or { "cookies": [...] }');
+  return list
+    .filter(c => c?.name)
+    .map(c => ({
+      name: c.name,
+      value: String(c.value ?? ''),
+      domain: c.domain,
+      path: c.path || '/',
+      secure: Boolean(c.secure),
+      httpOnly: Boolean(c.httpOnly),
+      expires: c.expirationDate ?? c.expires ?? undefined,
+    }));
+}
+
+/**
+ * Read cookies from a Netscape `cookies.txt` or a browser-exported JSON file.
+ * Expired cookies are dropped.
+ * @param {string} file
+ * @param {Object} [options]
+ * @param {string} [options.domain] - Keep only cookies sent to this host, e.g. `www.educative.io`
+ * @returns {Promise<Array<{ name: string, value: string, domain: string, path: string }>>}
+ */
+export async function loadCookieFile(file, { domain } = {}) {
+  const text = await readFile(file, 'utf-8');
+  let cookies;
+  try {
+    cookies = /^\s*[[{]/.test(text) ? parseJsonCookies(text) : parseNetscapeCookies(text);
+  } catch (err) {
+    throw new Error(`Invalid cookie file ${file}: ${err.message}`);
+  }
+
+  const now = Date.now() / 1000;
+  return cookies.filter(c =>
+    (!c.expires || c.expires <= 0 || c.expires > now) &&
+    (!domain || !c.domain || `.${domain}`.endsWith(c.domain.startsWith('.') ? c.domain : `.${c.domain}`)));
+}
+
+export function toCookieHeader(cookies) {
+  return cookies.map(c => `${c.name}=${c.value}`).join('; ');
+}
+
+/**
+ * Move the `Cookie` header onto the page's cookie store for `url`, so
+ * Chromium sends them the way a browser would (including on redirects and
+ * subresources) instead of as a raw header.
+ * @returns {Promise<Object>} The headers without `Cookie`
+ */
+export async function setPageCookies(page, url, headers) {
+  const { Cookie: cookieHeader, ...rest } = headers;
+  const cookies = (cookieHeader || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => ({ name: part.slice(0, part.indexOf('=')), value: part.slice(part.indexOf('=') + 1), url }));
+  if (cookies.length) await page.setCookie(...cookies);
+  return rest;
+}
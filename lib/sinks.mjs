@@ -0,0 +1,153 @@
+import { createHmac, randomUUID } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import fetch from 'node-fetch';
+import { categorizedError } from './errors.mjs';
+import { log } from './log.mjs';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST the payload as JSON. With a `secret`, the body is signed with
+ * HMAC-SHA256 and sent as `X-Signature-256: sha256=<hex>` so the n8n
+ * workflow can reject unsigned calls. Network errors, 429 and 5xx responses
+ * are retried with exponential backoff; other 4xx responses fail at once.
+ */
+export function webhookSink({ url, secret, retries = 3, retryDelayMs = 1000 }) {
+  if (!url) throw new Error('webhook sink needs a url');
+
+  return {
+    name: `webhook ${new URL(url).host}`,
+    target: url,
+    async send(payload) {
+      const body = JSON.stringify(payload);
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Signature-256'] = 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        let reason;
+        let retryable = true;
+        try {
+          const res = await fetch(url, { method: 'POST', headers, body });
+          if (res.ok) return;
+          reason = `${res.status} ${res.statusText}`;
+          retryable = res.status >= 500 || res.status === 429;
+        } catch (err) {
+          reason = err.message;
+        }
+        if (!retryable) throw new Error(`rejected: ${reason}`);
+        if (attempt >= retries) throw new Error(`gave up after ${attempt + 1} attempts: ${reason}`);
+
+        const delay = retryDelayMs * 2 ** attempt;
+        log.warn(`⚠️ Webhook failed (${reason}), retrying in ${delay}ms...`);
+        await sleep(delay);
+      }
+    },
+  };
+}
+
+/**
+ * Write each payload to `<dir>/<timestamp>-<id>.json`, plus the Markdown on
+ * its own as `<timestamp>-<id>.md` for easy reading. The random `<id>` keeps
+ * payloads sent in the same millisecond apart.
+ */
+export function fileSink({ dir }) {
+  if (!dir) throw new Error('file sink needs a dir');
+
+  return {
+    name: `file ${dir}`,
+    target: resolve(dir),
+    async send(payload) {
+      await mkdir(dir, { recursive: true });
+      const base = join(dir, `${payload.timestamp || Date.now()}-${randomUUID().slice(0, 8)}`);
+      await writeFile(`${base}.json`, JSON.stringify(payload, null, 2), 'utf-8');
+      if (payload.fullMarkdown) await writeFile(`${base}.md`, payload.fullMarkdown, 'utf-8');
+    },
+  };
+}
+
+export function stdoutSink() {
+  return {
+    name: 'stdout',
+    target: 'stdout',
+    async send(payload) {
+      console.log(JSON.stringify(payload, null, 2));
+    },
+  };
+}
+
+const sinkFactories = {
+  webhook: webhookSink,
+  file: fileSink,
+  stdout: stdoutSink,
+};
+
+export function createSinks(configs) {
+  return configs.map(config => {
+    const factory = sinkFactories[config.type];
+    if (!factory) throw new Error(`Unknown sink type: ${config.type}`);
+    return factory(config);
+  });
+}
+
+/**
+ * Sink configuration, in order of precedence:
+ * 1. `SINK_CONFIG` — path to a JSON file: `{ "sinks": [{ "type": "webhook", "url": "..." }, ...] }`
+ * 2. `SINKS` — comma-separated types (`webhook,file,stdout`), configured by
+ *    `WEBHOOK_URL`, `WEBHOOK_SECRET`, `WEBHOOK_RETRIES` and `SINK_DIR`
+ * 3. A webhook when `WEBHOOK_URL` is set, stdout otherwise — a local run
+ *    never posts anywhere unless told to.
+ */
+export async function loadSinkConfig(env = process.env) {
+  if (env.SINK_CONFIG) {
+    const { sinks } = JSON.parse(await readFile(env.SINK_CONFIG, 'utf-8'));
+    return sinks;
+  }
+
+  const types = env.SINKS
+    ? env.SINKS.split(',').map(x => x.trim()).filter(Boolean)
+    : [env.WEBHOOK_URL ? 'webhook' : 'stdout'];
+
+  return types.map(type => {
+    if (type === 'webhook') {
+      return {
+        type,
+        url: env.WEBHOOK_URL,
+        secret: env.WEBHOOK_SECRET,
+        retries: env.WEBHOOK_RETRIES ? Number(env.WEBHOOK_RETRIES) : undefined,
+      };
+    }
+    if (type === 'file') return { type, dir: env.SINK_DIR || 'results' };
+    return { type };
+  });
+}
+
+export async function createSinksFromEnv(env = process.env) {
+  return createSinks(await loadSinkConfig(env));
+}
+
+export function buildPayload(fields) {
+  return {
+    ...fields,
+    source: 'github-ci',
+    user: process.env.GITHUB_ACTOR || 'unknown',
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Send one payload to every sink. All sinks are tried even if one fails;
+ * any failure is then raised as a single error naming the failed sinks.
+ */
+export async function sendToSinks(sinks, payload) {
+  const results = await Promise.allSettled(sinks.map(sink => sink.send(payload)));
+  const failures = results
+    .map((result, i) => result.status === 'rejected' ? `${sinks[i].name}: ${result.reason.message}` : null)
+    .filter(Boolean);
+
+  if (failures.length) {
+    throw categorizedError('sink', `Failed to deliver result to ${failures.length} sink(s): ${failures.join('; ')}`);
+  }
+}
@@ -0,0 +1,98 @@
+import { walkComponents } from './lesson.mjs';
+import { findPageById } from './toc.mjs';
+
+const FENCE = /^```([^\n`]*)\n([\s\S]*?)\n```$/gm;
+
+/**
+ * Fenced code blocks in a piece of rendered Markdown, in order.
+ * @returns {Array<{ language: string, code: string }>}
+ */
+export function extractCodeBlocks(markdown) {
+  return [...markdown.matchAll(FENCE)].map(([, language, code]) => ({
+    language: language.trim(),
+    code,
+  }));
+}
+
+/**
+ * Words of prose, not counting code blocks or Markdown/HTML markup.
+ */
+export function countWords(markdown) {
+  const prose = markdown
+    .replace(FENCE, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#*_>|`[\]()-]+/g, ' ');
+  return (prose.match(/[\p{L}\p{N}][\p{L}\p{N}'’.]*/gu) || []).length;
+}
+
+// The quizzes of a rendered component: itself, or those in its columns
+function extractQuizQuestions(source) {
+  return walkComponents(source ? [source] : []).flatMap(({ component }) => quizQuestions(component));
+}
+
+function quizQuestions(component) {
+  if (component.type !== 'Quiz') return [];
+  return (component.content?.questions || []).map(q => {
+    const options = (q.questionOptions || []).map(opt => opt.text);
+    return {
+      question: q.questionText,
+      options,
+      correctAnswers: (q.questionOptions || []).filter(opt => opt.correct).map(opt => opt.text),
+    };
+  });
+}
+
+/**
+ * Lesson metadata from the course TOC, when the course JSON is at hand.
+ */
+export function lessonMetadata({ title, course, pageId }) {
+  const found = course && pageId != null ? findPageById(course, pageId) : null;
+  return {
+    title: title ?? found?.page.title ?? null,
+    slug: found?.page.slug ?? null,
+    id: found?.page.id ?? (pageId != null ? Number(pageId) || pageId : null),
+    category: found?.category.title ?? null,
+    courseTitle: course?.instance?.details?.title ?? null,
+  };
+}
+
+/**
+ * JSON document for a rendered lesson, so consumers don't have to re-parse
+ * the Markdown to find quizzes and code.
+ * @param {Object} rendered - Result of renderLesson()
+ * @param {Object} [context]
+ * @param {Object} [context.course] - Course JSON, for slug, category and course title
+ * @param {string|number} [context.pageId]
+ */
+export function buildLessonDocument(rendered, { course, pageId } = {}) {
+  const components = rendered.components.map(({ type, markdown, source }) => ({
+    type,
+    markdown,
+    codeBlocks: extractCodeBlocks(markdown),
+    quizQuestions: extractQuizQuestions(source),
+    wordCount: countWords(markdown),
+  }));
+
+  return {
+    lesson: lessonMetadata({ title: rendered.title, course, pageId }),
+    wordCount: components.reduce((sum, c) => sum + c.wordCount, 0),
+    unhandledTypes: rendered.unhandled,
+    components,
+  };
+}
+
+export const OUTPUT_FORMATS = ['markdown', 'json', 'both'];
+
+/**
+ * The result fields for an output format, as sent in the sink payload:
+ * `fullMarkdown` for markdown, `lessonDocument` for json, both for both.
+ */
+export function outputFields({ markdown, document }, format = 'markdown') {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  return {
+    ...(format !== 'json' && { fullMarkdown: markdown }),
+    ...(format !== 'markdown' && { lessonDocument: document }),
+  };
+}
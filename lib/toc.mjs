@@ -0,0 +1,54 @@
+// Lookups over the course TOC (`instance.details.toc.categories[].pages[]`).
+
+export function findSlugByTitle(jsonData, targetTitle) {
+  for (const category of jsonData.instance.details.toc.categories) {
+    for (const page of category.pages) {
+      if (page.title === targetTitle) {
+        return page.id;
+      }
+    }
+  }
+  return null; // Not found
+}
+
+export function findPageById(jsonData, pageId) {
+  for (const category of jsonData.instance.details.toc.categories) {
+    for (const page of category.pages) {
+      if (String(page.id) === String(pageId)) {
+        return { category, page };
+      }
+    }
+  }
+  return null;
+}
+
+export function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+/**
+ * Flatten the course TOC into one entry per lesson, in reading order.
+ * Categories carry no slug of their own, so one is derived from the title.
+ * @param {Object} courseJson - Course JSON as returned by fetchCourse()
+ * @returns {Array<{ category: Object, categorySlug: string, page: Object, pageSlug: string }>}
+ */
+export function listCoursePages(courseJson) {
+  const entries = [];
+  for (const category of courseJson.instance.details.toc.categories) {
+    const categorySlug = slugify(category.title);
+    for (const page of category.pages || []) {
+      entries.push({
+        category,
+        categorySlug,
+        page,
+        pageSlug: page.slug || slugify(page.title),
+      });
+    }
+  }
+  return entries;
+}
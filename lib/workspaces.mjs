@@ -0,0 +1,229 @@
+import { execFile } from 'child_process';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import { basename, dirname, extname, isAbsolute, join, posix, relative, resolve, sep } from 'path';
+import { walkComponents } from './lesson.mjs';
+import { log } from './log.mjs';
+import { collectAdditionalFiles } from './renderers/code.mjs';
+
+// Widget languages as they appear in lesson JSON, to a file extension
+const EXTENSIONS = {
+  javascript: 'js', js: 'js', nodejs: 'js', node: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts',
+  python: 'py', python3: 'py', py: 'py', go: 'go', golang: 'go', java: 'java', kotlin: 'kt',
+  c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', 'c#': 'cs', ruby: 'rb', rust: 'rs', swift: 'swift',
+  php: 'php', scala: 'scala', r: 'r', bash: 'sh', shell: 'sh', sh: 'sh', sql: 'sql',
+  html: 'html', css: 'css', json: 'json', yaml: 'yml',
+};
+
+const mainFileFor = language => `main.${EXTENSIONS[String(language).toLowerCase()] || 'txt'}`;
+
+// Python reports `file:line:col: message` like gofmt does, instead of a traceback
+const PYTHON_CHECK = [
+  'import ast, sys',
+  'path = sys.argv[1]',
+  'try:',
+  "    with open(path, encoding='utf-8') as f:",
+  '        ast.parse(f.read(), path)',
+  'except SyntaxError as e:',
+  "    print(f'{path}:{e.lineno}:{e.offset}: {e.msg}', file=sys.stderr)",
+  '    sys.exit(1)',
+].join('\n');
+
+// Node prints `file:line`, the line, a caret and then `SyntaxError: ...`
+function nodeMessage(output, file) {
+  const lines = output.replace(/\[stdin\]/g, file).split('\n');
+  const error = lines.find(line => /^\w*Error:/.test(line));
+  return error ? `${lines[0]}: ${error}` : output;
+}
+
+// `node --check` skips the files it detects as modules itself, so those are piped in as one
+const isModule = (file, code) => extname(file) === '.js' && /^\s*(import\s*[\w{*'"]|export\s)/m.test(code);
+
+/**
+ * Syntax checkers by file extension. Each tries its commands in order; a
+ * toolchain that isn't installed makes the check `skipped`, not failed.
+ * `fragment(code)` says why code can't be checked as a whole file: widgets
+ * often hold a snippet, such as a Go function without its `package` clause.
+ */
+const CHECKERS = {
+  node: {
+    commands: [[process.execPath, (file, code) => isModule(file, code)
+      ? { args: ['--input-type=module', '--check'], input: code }
+      : { args: ['--check', file] }]],
+    message: nodeMessage,
+  },
+  python: {
+    commands: ['python3', 'python'].map(command => [command, file => ({ args: ['-c', PYTHON_CHECK, file] })]),
+    fragment: code => /^[ \t]/.test(code.split('\n').find(line => line.trim()) || '') && 'it starts indented',
+  },
+  go: {
+    commands: [['gofmt', file => ({ args: ['-e', '-l', file] })]],
+    fragment: code => !/^\s*package\s+\w+/m.test(code.replace(/\/\/.*|\/\*[\s\S]*?\*\//g, '')) && 'it has no package clause',
+  },
+};
+const CHECKER_BY_EXTENSION = { '.js': 'node', '.mjs': 'node', '.cjs': 'node', '.py': 'python', '.go': 'go' };
+
+// Keep file names inside the workspace: no absolute paths, no `..`
+function safePath(fileName) {
+  const parts = posix.normalize(String(fileName).replace(/\\/g, '/')).split('/')
+    .filter(part => part && part !== '.' && part !== '..');
+  return parts.join('/') || 'file.txt';
+}
+
+function codeWidget(content) {
+  const language = content.language || '';
+  const main = { path: mainFileFor(language), code: content.content || '' };
+  const extras = collectAdditionalFiles(content, language).map(file => ({ path: safePath(file.fileName), code: file.code }));
+  const solution = content.solutionContent?.trim() ? [{ ...main, code: content.solutionContent }, ...extras] : [];
+  return [{ language, files: [main, ...extras], solution }];
+}
+
+// One workspace per language, each with its own main file and extra files
+function codeTestWidgets(content) {
+  return Object.entries(content.languageContents || {}).map(([language, block]) => {
+    const main = { path: safePath(block.mainFileName || mainFileFor(language)), code: block.codeContents?.content || '' };
+    const extras = Object.entries(content.additionalFiles?.[language] || {})
+      .map(([fileName, file]) => ({ path: safePath(fileName), code: file.codeContents?.content || '' }));
+    const solved = content.solution?.content && String(content.solution.language || language).toLowerCase() === language.toLowerCase();
+    return { language, suffix: language, files: [main, ...extras], solution: solved ? [{ ...main, code: content.solution.content }, ...extras] : [] };
+  });
+}
+
+function webpackBinWidget(content) {
+  const files = [];
+  const traverse = (children = [], dir = '') => {
+    for (const node of children) {
+      const name = node.module || node.name;
+      if (node.leaf) {
+        if (node.data?.content != null) files.push({ path: safePath(dir + name), code: node.data.content });
+      } else if (node.children) {
+        traverse(node.children, name ? `${dir}${name}/` : dir);
+      }
+    }
+  };
+  traverse(content.codeContents?.children);
+  return [{ language: 'javascript', files, solution: [] }];
+}
+
+const EXTRACTORS = { Code: codeWidget, CodeTest: codeTestWidgets, WebpackBin: webpackBinWidget };
+
+/**
+ * The code widgets of a lesson (`Code`, `CodeTest` per language and
+ * `WebpackBin`, also inside `Columns`) as file trees: `files` as the learner
+ * gets them, hidden ones included, and `solution`, the same tree with the
+ * solution in place of the main file (empty when the widget has none).
+ * @param {Object} json - Lesson JSON
+ * @returns {Array<{ name: string, type: string, caption: string, language: string,
+ *   files: Array<{ path: string, code: string }>, solution: Array<{ path: string, code: string }> }>}
+ *   `name` is the widget's folder, e.g. `02-codetest-python`
+ */
+export function extractWorkspaces(json) {
+  const widgets = [];
+  for (const { component } of walkComponents(json.components)) {
+    const extract = EXTRACTORS[component.type];
+    if (!extract || !component.content) continue;
+    for (const { suffix, ...widget } of extract(component.content)) {
+      if (!widget.files.some(file => file.code.trim())) continue;
+      const number = String(widgets.length + 1).padStart(2, '0');
+      const name = [number, component.type.toLowerCase(), suffix && safePath(suffix.toLowerCase())].filter(Boolean).join('-');
+      widgets.push({ name, type: component.type, caption: component.content.caption || '', ...widget });
+    }
+  }
+  return widgets;
+}
+
+function run(command, args, { cwd, input }) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args, { cwd, timeout: 20000 }, (err, stdout, stderr) => {
+      if (err) reject(Object.assign(err, { stderr }));
+      else resolve({ stdout, stderr });
+    });
+    // A missing command fails in the callback; its stdin only reports EPIPE
+    child.stdin.on('error', () => {});
+    child.stdin.end(input ?? '');
+  });
+}
+
+async function checkFile(dir, file, code) {
+  const checker = CHECKERS[CHECKER_BY_EXTENSION[extname(file)]];
+  if (!checker) return null;
+  const fragment = checker.fragment?.(code);
+  if (fragment) return { tool: basename(checker.commands[0][0]), status: 'skipped', message: `a fragment, not a whole file: ${fragment}` };
+  for (const [command, invocation] of checker.commands) {
+    const { args, input } = invocation(file, code);
+    const tool = basename(command);
+    try {
+      const { stderr } = await run(command, args, { cwd: dir, input });
+      // The exit code decides; stderr on success is a warning, e.g. Python's SyntaxWarning
+      if (stderr.trim()) return { tool, status: 'warning', message: stderr.trim().split(`${dir}/`).join('') };
+      return { tool, status: 'ok' };
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      if (err.killed) return { tool, status: 'skipped', message: 'timed out' };
+      const output = String(err.stderr || err.message).trim().split(`${dir}/`).join('');
+      return { tool, status: 'error', message: checker.message ? checker.message(output, file) : output };
+    }
+  }
+  return { tool: basename(checker.commands[0][0]), status: 'skipped', message: 'not installed' };
+}
+
+/**
+ * Write the code widgets of a lesson to `<dir>/<widget>/code/` and
+ * `<dir>/<widget>/solution/`, syntax-check every JavaScript, Python and Go
+ * file with node, python and gofmt where installed, and write a
+ * `manifest.json` listing the widgets and results. `dir` is emptied first,
+ * and not created for a lesson without code. A file that fails the check is
+ * an `error`; one that passes with output on stderr a `warning`; a snippet
+ * that isn't a whole file is `skipped`.
+ * @param {Object} json - Lesson JSON
+ * @param {Object} options
+ * @param {string} options.dir - The lesson's workspace folder
+ * @param {string} [options.root] - The folder holding every lesson's workspace; `dir` must be
+ *   strictly inside it, so a lesson without a slug or id can't empty the whole root
+ * @returns {Promise<{ dir: string, widgets: number, checked: number, errors: number, warnings: number, skipped: number,
+ *   results: Array<{ file: string, tool: string, status: 'ok'|'warning'|'error'|'skipped', message?: string }> }>}
+ *   `file` is relative to `dir`
+ */
+export async function writeWorkspaces(json, { dir, root }) {
+  const inside = root != null && relative(resolve(root), resolve(dir));
+  if (inside === '' || (inside && (inside.split(sep)[0] === '..' || isAbsolute(inside)))) {
+    throw new Error(`Refusing to empty ${dir}: a lesson's workspace must be a folder inside ${root}`);
+  }
+  const widgets = extractWorkspaces(json);
+  await rm(dir, { recursive: true, force: true });
+  if (!widgets.length) return { dir, widgets: 0, checked: 0, errors: 0, warnings: 0, skipped: 0, results: [] };
+  await mkdir(dir, { recursive: true });
+
+  const results = [];
+  for (const widget of widgets) {
+    for (const [folder, files] of [['code', widget.files], ['solution', widget.solution]]) {
+      const root = join(dir, widget.name, folder);
+      for (const { path, code } of files) {
+        await mkdir(dirname(join(root, path)), { recursive: true });
+        await writeFile(join(root, path), code, 'utf-8');
+      }
+      for (const { path, code } of files) {
+        const result = await checkFile(root, path, code);
+        if (result) results.push({ file: `${widget.name}/${folder}/${path}`, ...result });
+      }
+    }
+  }
+
+  const summary = {
+    dir,
+    widgets: widgets.length,
+    checked: results.filter(r => r.status !== 'skipped').length,
+    errors: results.filter(r => r.status === 'error').length,
+    warnings: results.filter(r => r.status === 'warning').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    results,
+  };
+  const manifest = {
+    widgets: widgets.map(({ name, type, caption, language, files, solution }) => ({
+      name, type, caption, language, files: files.map(f => f.path), solution: solution.map(f => f.path),
+    })),
+    checks: results,
+  };
+  await writeFile(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf-8');
+  if (summary.errors) log.warn(`⚠️ ${summary.errors} code file(s) in ${dir} failed the syntax check`);
+  return summary;
+}
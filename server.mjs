@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import { convertLesson, createBrowserPool, createCache, createDiagnostics, createLinkChecker, createSinksFromEnv, loadHeaders, loadLinkRules, loadRenderers } from './index.mjs';
+import { createApp } from './lib/app.mjs';
+import { createJobQueue } from './lib/job_queue.mjs';
+import { configureLogFromEnv, log } from './lib/log.mjs';
+
+dotenv.config(); // Enables .env support for local dev
+configureLogFromEnv();
+
+const PORT = Number(process.env.PORT) || 3000;
+const CONCURRENCY = Number(process.env.CONCURRENCY) || 2;
+const BROWSER_CONCURRENCY = Number(process.env.BROWSER_CONCURRENCY) || CONCURRENCY;
+
+await loadRenderers(process.env.RENDERERS_DIR || 'renderers');
+const sinks = await createSinksFromEnv();
+const linkRules = await loadLinkRules(process.env.LINK_RULES);
+const cache = createCache({ dir: process.env.CACHE_DIR || '.cache' });
+
+// One Chromium for the whole service; relaunched if it crashes or disconnects.
+const browser = createBrowserPool({ concurrency: BROWSER_CONCURRENCY });
+
+const queue = createJobQueue({
+  concurrency: CONCURRENCY,
+  async worker({ url, message, headersJson, cookieArgs, format, reviewer, mathDialect, columnLayout, assessments, workspaces, checkLinks, force, diff }) {
+    const diagnostics = createDiagnostics({ dir: process.env.DIAGNOSTICS_DIR || 'diagnostics' });
+    try {
+      const headers = await loadHeaders({ headersJson, cookieString: cookieArgs });
+      const workspaceDir = workspaces ? process.env.WORKSPACE_DIR || 'workspaces' : undefined;
+      const linkChecker = createLinkChecker({ ...linkRules, fetchExternal: checkLinks });
+      return await convertLesson(url, {
+        message, headers, browser, sinks, cache, force, diff, diagnostics,
+        format, reviewer, mathDialect, columnLayout, assessmentFormats: assessments, workspaceDir, linkChecker,
+      });
+    } catch (err) {
+      err.diagnostics = await diagnostics.write(err);
+      log.error(`🩺 Diagnostics saved to ${err.diagnostics}`);
+      throw err;
+    }
+  },
+});
+
+const app = createApp({ queue, browser });
+
+const server = app.listen(PORT, () => {
+  log.info(`🚀 Listening on port ${PORT} (concurrency ${CONCURRENCY})`);
+});
+
+async function shutdown() {
+  log.info('🛑 Shutting down...');
+  server.close();
+  await browser.close();
+  process.exit(0);
+}
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
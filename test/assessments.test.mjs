@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { inflateRawSync } from 'node:zlib';
+import { assessmentFields, extractAssessments, toGift, toMoodleXml, toQtiPackage, writeAssessments } from '../lib/assessments.mjs';
+
+const lesson = JSON.parse(readFileSync('fixtures/lessons/widgets.json', 'utf-8'));
+
+// Entries of a zip written by createZip(): local headers one after another
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = inflateRawSync(buffer.subarray(start, start + size)).toString('utf-8');
+    offset = start + size;
+  }
+  return files;
+}
+
+test('extractAssessments turns quizzes, matching and ordering widgets into questions', () => {
+  const questions = extractAssessments(lesson);
+  assert.deepEqual(questions.map(q => [q.kind, q.name]), [
+    ['multichoice', 'Widget Coverage – Quiz 1 Q1'],
+    ['multichoice', 'Widget Coverage – Quiz 1 Q2'],
+    ['ordering', 'Widget Coverage – Ordering 1'],
+    ['matching', 'Widget Coverage – Matching 1'],
+  ]);
+  assert.deepEqual(questions[2].items, ['go mod init', 'go build', './app']);
+  assert.deepEqual(questions[3].pairs[0], { left: 'fmt', right: 'Formatted I/O', feedback: 'fmt.Println prints a line.' });
+});
+
+test('GIFT escapes special characters and splits credit between several right answers', () => {
+  const gift = toGift(extractAssessments(lesson), { category: 'The Way to Go' });
+  assert.ok(gift.startsWith('$CATEGORY: The Way to Go\n\n::Widget Coverage – Quiz 1 Q1::[markdown]Which of these is a Go keyword? {\n\t=defer\n\t~finally'));
+  assert.ok(gift.includes('\t~%50%gofmt\n\t~%50%go vet\n\t~%-100%pylint'));
+  assert.ok(gift.includes('\t=go mod init -> 1\n\t=go build -> 2'));
+  assert.equal(toGift([{ kind: 'multichoice', name: 'a:b', text: '{x} = #1', options: [] }]), '::a\\:b::[markdown]\\{x\\} \\= \\#1 {\n\n}\n');
+});
+
+test('Moodle XML marks multiple-answer questions and escapes text', () => {
+  const xml = toMoodleXml(extractAssessments(lesson), { category: 'Go & friends' });
+  assert.ok(xml.includes('<category><text>$course$/Go &amp; friends</text></category>'));
+  assert.ok(xml.includes('<single>true</single>'));
+  assert.ok(xml.includes('<single>false</single>'));
+  assert.ok(xml.includes('<answer fraction="-100" format="markdown"><text>pylint</text>'));
+  assert.ok(xml.includes('<question type="ordering">'));
+  assert.ok(xml.includes('<subquestion format="markdown"><text>os</text><answer><text>Operating system access</text></answer></subquestion>'));
+});
+
+test('the QTI package is a readable zip with a manifest entry per item', () => {
+  const files = unzip(toQtiPackage(extractAssessments(lesson)));
+  assert.deepEqual(Object.keys(files), ['imsmanifest.xml', 'items/item1.xml', 'items/item2.xml', 'items/item3.xml', 'items/item4.xml']);
+  assert.equal((files['imsmanifest.xml'].match(/type="imsqti_item_xmlv2p1"/g) || []).length, 4);
+  assert.match(files['items/item2.xml'], /cardinality="multiple"/);
+  assert.match(files['items/item4.xml'], /<matchInteraction/);
+});
+
+test('assessmentFields and writeAssessments produce each requested format', async () => {
+  const questions = extractAssessments(lesson);
+  const fields = assessmentFields(questions, ['gift', 'qti']);
+  assert.deepEqual(Object.keys(fields), ['gift', 'qti']);
+  assert.ok(unzip(Buffer.from(fields.qti, 'base64'))['imsmanifest.xml']);
+  assert.throws(() => assessmentFields(questions, ['scorm']), /Unknown assessment format "scorm"/);
+
+  const dir = await mkdtemp(join(tmpdir(), 'assessments-'));
+  try {
+    const written = await writeAssessments(questions, { outDir: dir, formats: ['moodle', 'gift'] });
+    assert.deepEqual(written, [join(dir, 'questions.moodle.xml'), join(dir, 'questions.gift')]);
+    assert.match(await readFile(written[1], 'utf-8'), /^::Widget Coverage/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createServer } from 'node:http';
+import { test } from 'node:test';
+import { exportCourseFromUrl } from '../index.mjs';
+import { collectAssets, downloadAssets, localizeAssets } from '../lib/assets.mjs';
+import { renderLessonFile } from '../lib/offline.mjs';
+import { PAGE_ID, courseWith, loadLesson, startPlatform } from './helpers/platform.mjs';
+
+const baseUrl = 'https://www.educative.io/api/collection/10370001/6289391964127232';
+
+test('collectAssets lists prose images, diagrams and the course image once each', async () => {
+  const rendered = await renderLessonFile('fixtures/lessons/images.json');
+  const assets = collectAssets(rendered, { baseUrl, courseImage: `${baseUrl}/image/1` });
+  assert.deepEqual(assets.map(a => [a.kind, a.componentType, a.alt]), [
+    ['course-image', null, ''],
+    ['image', 'SlateHTML', 'Go toolchain'],
+    ['image', 'MarkdownEditor', 'Stack and heap'],
+    ['diagram', 'DrawIOWidget', 'Goroutines and channels'],
+    ['image', 'Image', 'Gopher on a ladder'],
+  ]);
+  assert.equal(assets[1].url, 'https://www.educative.io/api/collection/10370001/6289391964127232/image/5001');
+  assert.equal(assets[4].url, 'https://go.dev/images/gophers/ladder.svg');
+});
+
+test('downloadAssets keeps going past a failed image and localizeAssets rewrites only the saved ones', async () => {
+  const rendered = await renderLessonFile('fixtures/lessons/images.json');
+  const assets = collectAssets(rendered, { baseUrl });
+  const dir = await mkdtemp(join(tmpdir(), 'assets-'));
+  try {
+    const downloaded = await downloadAssets(assets, {
+      dir,
+      fetchAsset: async url => {
+        if (url.includes('go.dev')) throw new Error('404 Not Found');
+        return { body: Buffer.from('png'), contentType: 'image/png; charset=binary' };
+      },
+    });
+    assert.deepEqual(downloaded.map(a => Boolean(a.file)), [true, true, true, false]);
+    assert.equal(downloaded[3].error, '404 Not Found');
+    assert.match(downloaded[0].file, /^[0-9a-f]{12}\.png$/);
+    assert.equal((await readdir(dir)).length, 3);
+
+    const local = localizeAssets(rendered, downloaded);
+    assert.ok(local.markdown.includes(`![Go toolchain](assets/${downloaded[0].file})`));
+    assert.ok(local.markdown.includes('(https://go.dev/images/gophers/ladder.svg)'));
+    const diagram = local.components.find(c => c.type === 'DrawIOWidget');
+    assert.ok(diagram.markdown.startsWith(`![Goroutines and channels](assets/${downloaded[2].file})`));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('session headers go only to the platform, not to images on other hosts', async () => {
+  const external = [];
+  const server = createServer((req, res) => {
+    external.push(req.headers);
+    res.setHeader('content-type', 'image/png');
+    res.end('png');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const elsewhere = `http://127.0.0.1:${server.address().port}`;
+
+  const platformHeaders = [];
+  const lesson = loadLesson();
+  lesson.components.push({ type: 'MarkdownEditor', content: { text: `![On the platform](/img/1.png) ![Elsewhere](${elsewhere}/gopher.png)` } });
+  const platform = await startPlatform({
+    course: courseWith([PAGE_ID]),
+    lessons: { [PAGE_ID]: lesson },
+    routes: { '/img/1.png': req => { platformHeaders.push(req.headers); return 'png'; } },
+  });
+  const outDir = await mkdtemp(join(tmpdir(), 'assets-session-'));
+  try {
+    await exportCourseFromUrl(platform.lessonUrl(), {
+      outDir,
+      downloadAssets: true,
+      headers: { Cookie: 'cf_clearance=SECRET', cf_bp: 'SECRET' },
+    });
+    assert.equal(platformHeaders.length, 1);
+    assert.equal(platformHeaders[0].cookie, 'cf_clearance=SECRET');
+    assert.equal(platformHeaders[0].cf_bp, 'SECRET');
+    assert.equal(external.length, 1);
+    assert.equal(external[0].cookie, undefined);
+    assert.equal(external[0].cf_bp, undefined);
+  } finally {
+    await platform.close();
+    await new Promise(resolve => server.close(resolve));
+    await rm(outDir, { recursive: true, force: true });
+  }
+});
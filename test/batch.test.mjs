@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { readJobs, runBatch } from '../lib/batch.mjs';
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), 'batch-')); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+const lines = jobs => jobs.map(job => JSON.stringify(job)).join('\n') + '\n';
+
+test('job keys follow url and message, not credentials or line order', async () => {
+  const file = join(dir, 'keys.jsonl');
+  await writeFile(file, lines([
+    { url: 'https://a.test/1', message: 'Row 1', cookieArgs: 'sess=OLD' },
+    { url: 'https://a.test/1', message: 'Row 2' },
+    { url: 'https://a.test/1', message: 'Row 1' },
+  ]));
+  const [first, second, repeat] = await readJobs(file);
+  assert.notEqual(first.key, second.key);
+  assert.equal(repeat.key, `${first.key}-2`);
+
+  await writeFile(file, '# refreshed\n' + lines([
+    { url: 'https://a.test/1', message: 'Row 2', headersJson: '{"Cookie":"sess=NEW"}' },
+    { url: 'https://a.test/1', message: 'Row 1', cookieArgs: 'sess=NEW' },
+  ]));
+  const refreshed = await readJobs(file);
+  assert.deepEqual(refreshed.map(j => [j.key, j.line]), [[second.key, 2], [first.key, 3]]);
+});
+
+test('a rerun skips finished jobs, also after the cookies changed', async () => {
+  const file = join(dir, 'resume.jsonl');
+  const jobs = [
+    { url: 'https://a.test/ok', message: 'm', cookieArgs: 'sess=SECRET' },
+    { url: 'https://b.test/fails', message: 'm' },
+  ];
+  await writeFile(file, lines(jobs));
+  const runs = [];
+  const run = async job => {
+    runs.push(job.url);
+    if (job.url.includes('fails')) throw new Error('Failed to fetch: 500 cookieArgs: sess=SECRET');
+  };
+  const first = await runBatch(file, { run, hostIntervalMs: 0 });
+  assert.deepEqual([first.done, first.failed, first.skipped], [1, 1, 0]);
+  const state = await readFile(first.stateFile, 'utf-8');
+  assert.ok(!state.includes('SECRET'), 'no credentials in the state file');
+
+  jobs[0].cookieArgs = 'sess=RENEWED';
+  await writeFile(file, lines(jobs));
+  const second = await runBatch(file, { run, hostIntervalMs: 0 });
+  assert.deepEqual([second.done, second.failed, second.skipped], [1, 1, 2]);
+
+  await runBatch(file, { run, hostIntervalMs: 0, retryFailed: true });
+  assert.deepEqual(runs, ['https://a.test/ok', 'https://b.test/fails', 'https://b.test/fails']);
+});
+
+test('a line whose url is not a URL fails alone and the batch carries on', async () => {
+  const file = join(dir, 'malformed.jsonl');
+  await writeFile(file, lines([{ url: 'https://a.test/1' }, { url: 'not a url' }, { url: 'ftp://a.test/3' }, { url: 'https://a.test/2' }]));
+  const runs = [];
+  const result = await runBatch(file, { run: async job => { runs.push(job.url); }, hostIntervalMs: 0, concurrency: 1 });
+  assert.deepEqual(runs, ['https://a.test/1', 'https://a.test/2']);
+  assert.deepEqual([result.done, result.failed], [2, 2]);
+  assert.deepEqual(result.failures.map(f => [f.line, f.reason]), [
+    [2, '"url" must be an http(s) URL, got "not a url"'],
+    [3, '"url" must be an http(s) URL, got "ftp://a.test/3"'],
+  ]);
+  const state = JSON.parse(await readFile(result.stateFile, 'utf-8'));
+  assert.ok(Object.values(state.jobs).every(job => job.status !== 'pending'));
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { test } from 'node:test';
+import { createBrowserPool } from '../lib/browser_pool.mjs';
+
+// Just enough of a Puppeteer browser for the pool: contexts, pages, CDP sessions
+function stubBrowser(log) {
+  const browser = new EventEmitter();
+  let pages = 0;
+  browser.createIncognitoBrowserContext = async () => {
+    const context = {
+      closed: false,
+      async newPage() {
+        const page = {
+          id: ++pages,
+          closed: false,
+          browserContext: () => context,
+          isClosed: () => page.closed || context.closed,
+          evaluateOnNewDocument: async () => {},
+          target: () => ({
+            createCDPSession: async () => ({
+              send: async method => log.push(`page ${page.id}: ${method}`),
+              detach: async () => {},
+            }),
+          }),
+          setExtraHTTPHeaders: async headers => log.push(`page ${page.id}: headers ${JSON.stringify(headers)}`),
+          goto: async url => log.push(`page ${page.id}: goto ${url}`),
+        };
+        return page;
+      },
+      async close() {
+        context.closed = true;
+        log.push('context closed');
+      },
+    };
+    return context;
+  };
+  browser.close = async () => log.push('browser closed');
+  return browser;
+}
+
+function stubLaunch() {
+  const log = [];
+  const browsers = [];
+  const launch = async () => {
+    const browser = stubBrowser(log);
+    browsers.push(browser);
+    return browser;
+  };
+  return { log, browsers, launch };
+}
+
+test('no more than `concurrency` pages are in use at once', async () => {
+  const { launch, browsers } = stubLaunch();
+  const pool = createBrowserPool({ concurrency: 2, launch });
+  let running = 0;
+  let most = 0;
+  const work = () => pool.withPage(async page => {
+    running++;
+    most = Math.max(most, running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+    return page.id;
+  });
+  const ids = await Promise.all([work(), work(), work(), work(), work()]);
+  assert.equal(most, 2);
+  assert.equal(browsers.length, 1, 'one browser for every fetch');
+  assert.deepEqual([...new Set(ids)].sort(), [1, 2], 'the two pages are reused');
+  assert.deepEqual(pool.stats(), { browser: 'up', pagesInUse: 0, pagesIdle: 2, concurrency: 2 });
+  await pool.close();
+});
+
+test('a page is cleared before it is reused, and one whose fetch threw is closed', async () => {
+  const { launch, log } = stubLaunch();
+  const pool = createBrowserPool({ concurrency: 1, launch });
+  await pool.withPage(async () => {});
+  assert.deepEqual(log, ['page 1: Network.clearBrowserCookies', 'page 1: headers {}', 'page 1: goto about:blank']);
+
+  log.length = 0;
+  await assert.rejects(pool.withPage(async page => {
+    assert.equal(page.id, 1);
+    throw new Error('fetch failed');
+  }), /fetch failed/);
+  assert.deepEqual(log, ['context closed']);
+  assert.equal(await pool.withPage(async page => page.id), 2, 'a fresh page after the failed one');
+  await pool.close();
+});
+
+test('the browser is relaunched after it disconnects', async () => {
+  const { launch, browsers } = stubLaunch();
+  const pool = createBrowserPool({ launch });
+  await pool.withPage(async () => {});
+  browsers[0].emit('disconnected');
+  assert.deepEqual(pool.stats(), { browser: 'idle', pagesInUse: 0, pagesIdle: 0, concurrency: 2 });
+
+  await pool.withPage(async () => {});
+  assert.equal(browsers.length, 2);
+  await pool.close();
+});
+
+test('a failed launch is retried on the next request', async () => {
+  let attempts = 0;
+  const { launch } = stubLaunch();
+  const pool = createBrowserPool({
+    concurrency: 1,
+    launch: async () => {
+      if (++attempts === 1) throw new Error('Chrome not found');
+      return launch();
+    },
+  });
+  await assert.rejects(pool.withPage(async () => {}), /Chrome not found/);
+  assert.equal(pool.stats().pagesInUse, 0, 'the slot is given back');
+  assert.equal(await pool.withPage(async page => page.id), 1);
+  await pool.close();
+});
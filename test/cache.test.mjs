@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { convertLesson } from '../index.mjs';
+import { createCache, revisionOf } from '../lib/cache.mjs';
+import { PAGE_ID, loadCourse, memorySink, startPlatform } from './helpers/platform.mjs';
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), 'cache-')); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('revisionOf moves with the course revision', () => {
+  const course = loadCourse();
+  const revision = revisionOf(course, PAGE_ID);
+  course.published_revision += 1;
+  assert.notEqual(revisionOf(course, PAGE_ID), revision);
+});
+
+test('an unchanged lesson is sent once per message and sink, and not fetched again', async () => {
+  const platform = await startPlatform();
+  const cache = createCache({ dir: join(dir, 'sent') });
+  const staging = memorySink('https://staging.example/hook');
+  const production = memorySink('https://production.example/hook');
+  const lessonFetches = () => platform.requests.filter(path => path.includes('/page/')).length;
+  try {
+    const url = platform.lessonUrl();
+    const first = await convertLesson(url, { message: 'Looks good', sinks: [staging], cache });
+    assert.equal(first.unchanged, false);
+    assert.equal(staging.payloads.length, 1);
+    assert.equal(lessonFetches(), 1);
+
+    const again = await convertLesson(url, { message: 'Looks good', sinks: [staging], cache });
+    assert.equal(again.unchanged, true);
+    assert.equal(again.markdown, first.markdown);
+    assert.equal(staging.payloads.length, 1);
+    assert.equal(lessonFetches(), 1);
+
+    await convertLesson(url, { message: 'Fix the typo', sinks: [staging], cache });
+    assert.deepEqual(staging.payloads.map(p => p.message), ['Looks good', 'Fix the typo']);
+
+    await convertLesson(url, { message: 'Fix the typo', sinks: [production], cache });
+    assert.equal(production.payloads.length, 1);
+
+    await convertLesson(url, { message: 'Fix the typo', sinks: [production], cache, force: true });
+    assert.equal(production.payloads.length, 2);
+    assert.equal(lessonFetches(), 2);
+  } finally {
+    await platform.close();
+  }
+});
+
+test('a new course revision fetches the lesson again', async () => {
+  const platform = await startPlatform();
+  const cache = createCache({ dir: join(dir, 'revision') });
+  const sink = memorySink();
+  try {
+    await convertLesson(platform.lessonUrl(), { sinks: [sink], cache });
+    platform.course.published_revision += 1;
+    const result = await convertLesson(platform.lessonUrl(), { sinks: [sink], cache });
+    assert.equal(platform.requests.filter(path => path.includes('/page/')).length, 2);
+    // Same content, same message and sink: still not sent twice
+    assert.equal(result.unchanged, true);
+    assert.equal(sink.payloads.length, 1);
+  } finally {
+    await platform.close();
+  }
+});
@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { test } from 'node:test';
+import { promisify } from 'node:util';
+
+const run = (args, env = {}) => promisify(execFile)(process.execPath, ['cli.mjs', ...args], {
+  timeout: 60000,
+  env: { PATH: process.env.PATH, SINKS: 'stdout', ...env },
+});
+
+test('a course report from a saved course has no message and prints the Markdown once', async () => {
+  const { stdout } = await run(['--course-report', '--course-json', 'downloaded_data.json']);
+  const payload = JSON.parse(stdout.slice(0, stdout.lastIndexOf('}') + 1));
+  assert.equal(payload.message, undefined);
+  assert.match(payload.fullMarkdown, /^# Course report: The Way to Go\n/);
+  assert.equal(payload.courseReport.course.title, 'The Way to Go');
+  // Only inside the JSON payload, not printed again as Markdown
+  assert.doesNotMatch(stdout, /^# Course report/m);
+  assert.match(stdout, /✅ Course report sent\n$/);
+});
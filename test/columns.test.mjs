@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { extractAssessments } from '../lib/assessments.mjs';
+import { renderLesson, walkComponents } from '../lib/lesson.mjs';
+import { lintLesson } from '../lib/lint.mjs';
+import { buildLessonDocument } from '../lib/structured.mjs';
+import { extractWorkspaces } from '../lib/workspaces.mjs';
+
+const lesson = JSON.parse(readFileSync('fixtures/lessons/columns.json', 'utf-8'));
+
+test('walkComponents visits each container before its children, at any depth', () => {
+  assert.deepEqual(walkComponents(lesson.components).map(({ component, index, container }) => [component.type, index, container]), [
+    ['Columns', 0, null],
+    ['SlateHTML', 0, 'Columns'],
+    ['Code', 0, 'Columns'],
+    ['Columns', 1, null],
+    ['Quiz', 1, 'Columns'],
+    ['Columns', 1, 'Columns'],
+    ['MarkdownEditor', 1, 'Columns'],
+    ['MarkdownEditor', 1, 'Columns'],
+  ]);
+});
+
+test('quizzes and code inside columns are exported and checked like top-level ones', () => {
+  assert.deepEqual(extractAssessments(lesson).map(q => q.name), ['Columns – Quiz 1 Q1']);
+  assert.deepEqual(extractWorkspaces(lesson).map(w => w.name), ['01-code']);
+
+  const document = buildLessonDocument(renderLesson(lesson));
+  assert.deepEqual(document.components.map(c => c.quizQuestions.length), [0, 0, 1]);
+  assert.deepEqual(document.components[2].quizQuestions[0].correctAnswers, ['2']);
+});
+
+test('lint findings inside columns name the top-level component and its container', () => {
+  const json = structuredClone(lesson);
+  json.components[1].content.comps[0].content.questions[0].questionOptions[1].correct = true;
+  const findings = lintLesson(json, renderLesson(json));
+  assert.deepEqual(findings.map(f => [f.rule, f.location.componentIndex, f.location.componentType, f.location.container]), [
+    ['quiz-correct-options', 1, 'Quiz', 'Columns'],
+  ]);
+});
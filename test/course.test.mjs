@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { exportCourseFromUrl } from '../index.mjs';
+import { courseWith, loadLesson, startPlatform } from './helpers/platform.mjs';
+
+// Two lessons of the first category and one of the second
+const ORIGIN = '5545088593690624';
+const REASONS = '6217282952888320';
+const FILENAMES = '4593091610673152';
+
+function lessonTitled(title) {
+  const lesson = loadLesson();
+  lesson.summary.title = title;
+  return lesson;
+}
+
+test('exportCourseFromUrl writes each lesson under its category, links them from index.md and records a failed lesson', async () => {
+  // No lesson JSON for REASONS: the platform answers 404
+  const platform = await startPlatform({
+    course: courseWith([ORIGIN, REASONS, FILENAMES]),
+    lessons: { [ORIGIN]: lessonTitled('Origin and Evolution of Go'), [FILENAMES]: lessonTitled('Filenames, Keywords and Identifiers') },
+  });
+  const outDir = await mkdtemp(join(tmpdir(), 'course-'));
+  try {
+    const { indexFile, exported, failed, lessons } = await exportCourseFromUrl(platform.lessonUrl(ORIGIN), { outDir });
+    assert.equal(indexFile, join(outDir, 'index.md'));
+    assert.equal(exported, 2);
+    assert.equal(failed, 1);
+    assert.deepEqual(lessons.map(l => [l.title, l.status, l.file]), [
+      ['Origin and Evolution of Go', 'done', 'origin-context-and-popularity-of-go/origin-and-evolution-of-go.md'],
+      ['Reasons for Developing Go', 'failed', 'origin-context-and-popularity-of-go/reasons-for-developing-go.md'],
+      ['Filenames, Keywords and Identifiers', 'done', 'basic-constructs-and-elementary-data-types/filenames-keywords-and-identifiers.md'],
+    ]);
+    assert.match(lessons[1].error, /404 Not Found/);
+
+    // One folder per category, holding only the lessons that exported
+    assert.deepEqual(await readdir(join(outDir, 'origin-context-and-popularity-of-go')), ['origin-and-evolution-of-go.md']);
+    assert.deepEqual(await readdir(join(outDir, 'basic-constructs-and-elementary-data-types')), ['filenames-keywords-and-identifiers.md']);
+    assert.match(
+      await readFile(join(outDir, 'basic-constructs-and-elementary-data-types', 'filenames-keywords-and-identifiers.md'), 'utf-8'),
+      /^# Filenames, Keywords and Identifiers\n/,
+    );
+
+    const index = await readFile(indexFile, 'utf-8');
+    assert.match(index, /^# The Way to Go\n/);
+    const toc = index.split('\n').filter(line => /^(##|-) /.test(line)).map(line => line.replace(/ _\(\d+ findings?\)_$/, ''));
+    assert.deepEqual(toc, [
+      '## Origin, Context and Popularity of GO',
+      '- [Origin and Evolution of Go](origin-context-and-popularity-of-go/origin-and-evolution-of-go.md)',
+      `- Reasons for Developing Go _(export failed: ${lessons[1].error})_`,
+      '## Basic Constructs and Elementary Data Types',
+      '- [Filenames, Keywords and Identifiers](basic-constructs-and-elementary-data-types/filenames-keywords-and-identifiers.md)',
+    ]);
+  } finally {
+    await platform.close();
+    await rm(outDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildCourseReport, courseReportMarkdown } from '../lib/course_report.mjs';
+import { courseWith, loadCourse } from './helpers/platform.mjs';
+
+// field → ok, for a report's completeness checks
+const flags = report => Object.fromEntries(report.completeness.map(({ field, ok }) => [field, ok]));
+
+function completeCourse() {
+  const course = loadCourse();
+  Object.assign(course.instance.details, {
+    details: 'A long description of the course.',
+    clos: ['Write idiomatic Go'],
+  });
+  return course;
+}
+
+test('a course with every field filled in passes each completeness check', () => {
+  const report = buildCourseReport(completeCourse());
+  assert.ok(report.completeness.every(check => check.ok), JSON.stringify(report.completeness));
+  assert.doesNotMatch(courseReportMarkdown(report), /⚠️/);
+});
+
+test('the sample course has an empty description and no learning outcomes', () => {
+  const report = buildCourseReport(loadCourse());
+  assert.deepEqual(report.completeness.filter(check => !check.ok).map(check => check.field), ['details', 'clos']);
+  const markdown = courseReportMarkdown(report);
+  assert.ok(markdown.includes('| `details` | ⚠️ | course description: empty |'));
+  assert.ok(markdown.includes('| `clos` | ⚠️ | course learning outcomes: empty |'));
+  assert.ok(markdown.includes('| `skills` | ✅ | skills |'));
+});
+
+test('blank, empty and missing fields are each flagged', () => {
+  for (const [field, value] of [
+    ['details', '   \n'],
+    ['details', {}],
+    ['clos', []],
+    ['clos', null],
+    ['skills', undefined],
+    ['skills', []],
+  ]) {
+    const course = completeCourse();
+    if (value === undefined) delete course.instance.details[field];
+    else course.instance.details[field] = value;
+    const report = buildCourseReport(course);
+    assert.equal(flags(report)[field], false, `${field} = ${JSON.stringify(value)}`);
+    assert.equal(report.completeness.filter(check => !check.ok).length, 1, `${field} = ${JSON.stringify(value)}`);
+  }
+  const withoutSkills = completeCourse();
+  delete withoutSkills.instance.details.skills;
+  assert.deepEqual(buildCourseReport(withoutSkills).course.skills, []);
+});
+
+test('categories without a title, summary or lessons are counted', () => {
+  const course = courseWith(['5545088593690624', '4593091610673152'], completeCourse());
+  const [first, second] = course.instance.details.toc.categories;
+  first.title = '';
+  second.summary = '';
+  course.instance.details.toc.categories.push({ title: 'Coming soon', summary: 'Soon', pages: [] });
+
+  const report = buildCourseReport(course);
+  const categoryChecks = report.completeness.filter(check => check.field.startsWith('toc.'));
+  assert.deepEqual(categoryChecks.map(({ field, ok, detail }) => [field, ok, detail]), [
+    ['toc.categories[].title', false, '1 untitled'],
+    ['toc.categories[].summary', false, '1 missing'],
+    ['toc.categories[].pages', false, '1 empty'],
+  ]);
+  assert.deepEqual(report.totals, { categories: 3, lessons: 2, preview: 1, paid: 1 });
+  assert.ok(courseReportMarkdown(report).includes('| 1 | (untitled) | 1 |'));
+});
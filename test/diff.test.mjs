@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { convertLesson } from '../index.mjs';
+import { createCache } from '../lib/cache.mjs';
+import { diffComponents, diffText, formatDiffReport } from '../lib/diff.mjs';
+import { memorySink, startPlatform } from './helpers/platform.mjs';
+
+const block = (type, markdown) => ({ type, markdown });
+
+test('diffText shows changed lines with context and elides far-apart hunks', () => {
+  const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'].join('\n');
+  const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'I'].join('\n');
+  assert.equal(diffText(before, after), ['  a', '- b', '+ B', '  c', '  d', '...', '  g', '  h', '- i', '+ I'].join('\n'));
+});
+
+test('diffComponents pairs same-type components as modified and keeps the rest as added or removed', () => {
+  const previous = [block('SlateHTML', 'intro'), block('Code', '```go\nx := 1\n```'), block('Quiz', 'q1'), block('SlateHTML', 'end')];
+  const current = [block('SlateHTML', 'intro'), block('Code', '```go\nx := 2\n```'), block('Table', '| a |'), block('SlateHTML', 'end')];
+  const report = diffComponents(previous, current);
+  assert.equal(report.unchanged, 2);
+  assert.deepEqual(report.modified.map(c => [c.index, c.previousIndex, c.type, c.kind]), [[1, 1, 'Code', 'code']]);
+  assert.deepEqual(report.added.map(c => c.type), ['Table']);
+  assert.deepEqual(report.removed.map(c => c.type), ['Quiz']);
+
+  const markdown = formatDiffReport(report, { title: 'Lesson' });
+  assert.match(markdown, /^# Changes: Lesson\n\n\*\*1 added, 1 removed, 1 modified, 2 unchanged\*\*/);
+  assert.match(markdown, /````diff\n  ```go\n- x := 1\n\+ x := 2\n  ```\n````/);
+  assert.match(formatDiffReport(diffComponents(previous, previous)), /No changes since the previous version/);
+});
+
+test('diff mode sends the changes since the cached render', async () => {
+  const platform = await startPlatform();
+  const dir = await mkdtemp(join(tmpdir(), 'diff-'));
+  const cache = createCache({ dir });
+  const sink = memorySink();
+  try {
+    const url = platform.lessonUrl();
+    await convertLesson(url, { sinks: [sink], cache, diff: 'replace' });
+    assert.ok(sink.payloads[0].fullMarkdown, 'nothing cached yet: the full lesson is sent');
+
+    const lesson = platform.lessons[Object.keys(platform.lessons)[0]];
+    lesson.components[0].content.text += '\n\nOne more sentence.';
+    platform.course.published_revision += 1;
+    await convertLesson(url, { sinks: [sink], cache, diff: 'replace' });
+    const replaced = sink.payloads[1];
+    assert.equal(replaced.fullMarkdown, undefined);
+    assert.equal(replaced.diffReport.modified.length, 1);
+    assert.match(replaced.diffMarkdown, /\+ One more sentence\./);
+
+    lesson.components[0].content.text += ' And another.';
+    platform.course.published_revision += 1;
+    await convertLesson(url, { sinks: [sink], cache, diff: 'alongside' });
+    assert.ok(sink.payloads[2].fullMarkdown.includes('And another.'));
+    assert.equal(sink.payloads[2].diffReport.modified.length, 1);
+
+    await assert.rejects(convertLesson(url, { sinks: [sink], cache, diff: 'both' }), /Unknown diff mode "both"/);
+  } finally {
+    await platform.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { fetchCourse } from '../index.mjs';
+import { createDiagnostics } from '../lib/diagnostics.mjs';
+import { ERROR_CATEGORIES, UNKNOWN_EXIT_CODE, categorizedError, errorCategory, exitCodeFor } from '../lib/errors.mjs';
+// Keeps fetchCourse()'s log lines off the stdout the test runner reads
+import './helpers/platform.mjs';
+
+test('exitCodeFor gives each category its own code', () => {
+  assert.deepEqual(
+    Object.keys(ERROR_CATEGORIES).map(category => exitCodeFor(categorizedError(category, 'x'))),
+    [10, 11, 12, 13, 14, 15, 16, 17],
+  );
+  assert.equal(exitCodeFor(Object.assign(new Error('expired'), { code: 'SESSION_EXPIRED', reason: 'redirect' })), 10);
+  assert.equal(exitCodeFor(Object.assign(new Error('expired'), { code: 'SESSION_EXPIRED', reason: 'challenge' })), 11);
+  assert.equal(exitCodeFor(Object.assign(new Error('slow'), { name: 'TimeoutError' })), 12);
+  assert.equal(exitCodeFor(new Error('no Chrome')), UNKNOWN_EXIT_CODE);
+  assert.throws(() => categorizedError('network', 'x'), /Unknown error category "network"/);
+});
+
+test('only API responses that fail to parse are json-parse, not any SyntaxError', async () => {
+  let bad;
+  try {
+    JSON.parse('{ input');
+  } catch (err) {
+    bad = err;
+  }
+  assert.equal(errorCategory(bad), null);
+  assert.equal(exitCodeFor(bad), UNKNOWN_EXIT_CODE);
+
+  const server = createServer((req, res) => {
+    res.setHeader('content-type', 'application/json');
+    res.end('{ "title": ');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const courseUrl = `http://127.0.0.1:${server.address().port}/api/collection/1/2`;
+  try {
+    await assert.rejects(fetchCourse(courseUrl), err => {
+      assert.equal(err.category, 'json-parse');
+      assert.equal(err.url, courseUrl);
+      assert.equal(exitCodeFor(err), 14);
+      return true;
+    });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('createDiagnostics writes a bundle only when write() is called for a failure', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'diagnostics-'));
+  try {
+    const diagnostics = createDiagnostics({ dir: join(dir, 'bundles') });
+    diagnostics.recordExchange({
+      url: 'https://example.test/api/page/1', startedAt: Date.now(), status: 200, statusText: 'OK',
+      requestHeaders: { Cookie: 'session=secret' }, responseHeaders: { 'content-type': 'application/json' },
+      body: '{ "summary": ',
+    });
+    // A run that succeeds never calls write(): nothing is on disk
+    await assert.rejects(readdir(join(dir, 'bundles')), { code: 'ENOENT' });
+
+    const folder = await diagnostics.write(categorizedError('json-parse', 'Lesson did not return JSON'));
+    assert.match(folder, /-json-parse$/);
+    assert.deepEqual((await readdir(folder)).sort(), ['console.log', 'error.json', 'network.har', 'responses']);
+    const error = JSON.parse(await readFile(join(folder, 'error.json'), 'utf-8'));
+    assert.equal(error.category, 'json-parse');
+    const har = await readFile(join(folder, 'network.har'), 'utf-8');
+    assert.ok(!har.includes('session=secret'));
+    assert.deepEqual(JSON.parse(await readFile(join(folder, 'responses', 'index.json'), 'utf-8')),
+      [{ file: '1.json', url: 'https://example.test/api/page/1' }]);
+    assert.equal(await readFile(join(folder, 'responses', '1.json'), 'utf-8'), '{ "summary": ');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
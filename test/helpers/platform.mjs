@@ -0,0 +1,73 @@
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { log } from '../../lib/log.mjs';
+
+// The test runner reads each test file's stdout; keep progress lines off it
+log.configure({ infoStream: 'stderr' });
+
+export const AUTHOR_ID = '10370001';
+export const COLLECTION_ID = '6289391964127232';
+export const PAGE_ID = '6088814712848384';
+
+/** The course JSON in downloaded_data.json, fresh for each call. */
+export function loadCourse() {
+  return JSON.parse(readFileSync(new URL('../../downloaded_data.json', import.meta.url), 'utf-8'));
+}
+
+export function loadLesson() {
+  return JSON.parse(readFileSync(new URL(`../../fixtures/lessons/${PAGE_ID}.json`, import.meta.url), 'utf-8'));
+}
+
+/** The course with only `pageIds` left in its TOC, and categories left empty dropped. */
+export function courseWith(pageIds, course = loadCourse()) {
+  const keep = new Set(pageIds.map(String));
+  const { toc } = course.instance.details;
+  toc.categories = toc.categories
+    .map(category => ({ ...category, pages: (category.pages || []).filter(page => keep.has(String(page.id))) }))
+    .filter(category => category.pages.length);
+  return course;
+}
+
+/**
+ * A local stand-in for the platform's JSON API: the course at
+ * `/api/collection/<author>/<collection>` and lessons at `…/page/<id>`.
+ * `routes` maps other paths to a body or a `(req) => body` function.
+ * Every request path is recorded in `requests`.
+ */
+export async function startPlatform({ course = loadCourse(), lessons = { [PAGE_ID]: loadLesson() }, routes = {} } = {}) {
+  const requests = [];
+  const coursePath = `/api/collection/${AUTHOR_ID}/${COLLECTION_ID}`;
+  const server = createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    requests.push(path);
+    let body;
+    if (path === coursePath) body = platform.course;
+    else if (path.startsWith(`${coursePath}/page/`)) body = platform.lessons[path.slice(`${coursePath}/page/`.length)];
+    else if (path in routes) body = typeof routes[path] === 'function' ? routes[path](req) : routes[path];
+    if (body === undefined) {
+      res.statusCode = 404;
+      res.end('{}');
+      return;
+    }
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const platform = {
+    origin,
+    course,
+    lessons,
+    requests,
+    courseUrl: `${origin}${coursePath}`,
+    lessonUrl: (pageId = PAGE_ID) => `${origin}${coursePath}/page/${pageId}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+  return platform;
+}
+
+/** A sink that keeps what it is sent. */
+export function memorySink(target = 'memory') {
+  const payloads = [];
+  return { name: target, target, payloads, send: async payload => { payloads.push(payload); } };
+}
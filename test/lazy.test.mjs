@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { fetchLesson } from '../index.mjs';
+import { placeholderReference, resolveLazyComponents } from '../lib/lazy.mjs';
+import { renderLesson } from '../lib/lesson.mjs';
+import { lintLesson } from '../lib/lint.mjs';
+import { PAGE_ID, loadLesson, startPlatform } from './helpers/platform.mjs';
+
+const placeholder = content => ({ type: 'LazyLoadPlaceholder', content });
+
+test('placeholderReference reads content.url, relative to the lesson', () => {
+  const pageUrl = 'https://example.com/api/collection/1/2/page/3';
+  assert.equal(placeholderReference(placeholder({ url: 'deferred/7' }), { pageUrl }), `${pageUrl}/deferred/7`);
+  assert.equal(placeholderReference(placeholder({ url: '/api/deferred/7' }), { pageUrl }), 'https://example.com/api/deferred/7');
+  assert.equal(placeholderReference(placeholder({ id: 7, hash: 'abc' }), { pageUrl }), null);
+});
+
+test('fetchLesson puts deferred components in place and leaves the rest as reported gaps', async () => {
+  const lesson = loadLesson();
+  lesson.components.splice(1, 0,
+    placeholder({ url: '/api/deferred/one' }),
+    placeholder({ url: '/api/deferred/many' }),
+    placeholder({ hash: 'abc', height: 300 }),
+    placeholder({ url: '/api/deferred/missing' }));
+  const platform = await startPlatform({
+    lessons: { [PAGE_ID]: lesson },
+    routes: {
+      '/api/deferred/one': { type: 'MarkdownEditor', content: { text: 'Deferred one.' } },
+      '/api/deferred/many': { components: [{ type: 'MarkdownEditor', content: { text: 'Deferred two.' } }, { type: 'MarkdownEditor', content: { text: 'Deferred three.' } }] },
+    },
+  });
+  try {
+    const json = await fetchLesson(platform.lessonUrl());
+    assert.deepEqual(json.components.slice(1, 6).map(c => c.content.text ?? c.type),
+      ['Deferred one.', 'Deferred two.', 'Deferred three.', 'LazyLoadPlaceholder', 'LazyLoadPlaceholder']);
+    assert.deepEqual(json.components[4].content.unresolved,
+      { reference: null, reason: 'the placeholder has no content.url (content keys: hash, height)' });
+    assert.equal(json.components[5].content.unresolved.reference, `${platform.origin}/api/deferred/missing`);
+
+    const rendered = renderLesson(json);
+    assert.match(rendered.markdown, /Deferred one\.\n[\s\S]*Deferred three\./);
+    assert.match(rendered.markdown, /> ⚠️ Part of this lesson was not loaded \(the placeholder has no content\.url/);
+    const findings = lintLesson(json, rendered).filter(f => f.rule === 'lazy-placeholder-unresolved');
+    assert.deepEqual(findings.map(f => f.location.componentIndex), [4, 5]);
+  } finally {
+    await platform.close();
+  }
+});
+
+test('placeholders inside Columns, at any depth, are resolved in place', async () => {
+  const pageUrl = 'https://example.com/api/collection/1/2/page/3';
+  const columns = comps => ({ type: 'Columns', content: { comps } });
+  const text = value => ({ type: 'MarkdownEditor', content: { text: value } });
+  const lesson = {
+    summary: { title: 'Nested', description: 'Placeholders in columns.' },
+    components: [
+      text('Before.'),
+      columns([placeholder({ url: 'deferred/left' }), columns([text('Inner.'), placeholder({ url: 'deferred/gone' })])]),
+    ],
+  };
+  const fetched = [];
+  const fetchJson = async url => {
+    fetched.push(url);
+    if (url.endsWith('/left')) return text('Deferred left.');
+    throw new Error('Failed to fetch: 404 Not Found');
+  };
+
+  const json = await resolveLazyComponents(lesson, { pageUrl, fetchJson });
+  assert.deepEqual(fetched, [`${pageUrl}/deferred/left`, `${pageUrl}/deferred/gone`]);
+  const [outer] = json.components.slice(1);
+  assert.deepEqual(outer.content.comps[0], text('Deferred left.'));
+  const inner = outer.content.comps[1].content.comps;
+  assert.deepEqual(inner[0], text('Inner.'));
+  assert.equal(inner[1].type, 'LazyLoadPlaceholder');
+  assert.equal(inner[1].content.unresolved.reason, 'Failed to fetch: 404 Not Found');
+  // The input lesson is left as it was
+  assert.equal(lesson.components[1].content.comps[0].type, 'LazyLoadPlaceholder');
+
+  const rendered = renderLesson(json);
+  assert.match(rendered.markdown, /Deferred left\./);
+  assert.deepEqual(lintLesson(json, rendered).filter(f => f.rule === 'lazy-placeholder-unresolved').map(f => f.location.componentIndex), [1]);
+
+  // Running again retries only the one left unresolved
+  fetched.length = 0;
+  await resolveLazyComponents(json, { pageUrl, fetchJson });
+  assert.deepEqual(fetched, [`${pageUrl}/deferred/gone`]);
+
+  const plain = { components: [columns([text('No placeholder.')])] };
+  assert.equal(await resolveLazyComponents(plain, { pageUrl, fetchJson }), plain);
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { renderLesson } from '../lib/lesson.mjs';
+import { checkLinks, collectLinks, createLinkChecker, linkFindings, relativizeLinks } from '../lib/links.mjs';
+import { COLLECTION_ID, loadCourse } from './helpers/platform.mjs';
+
+const course = loadCourse();
+course.instance.details.deleted_page_titles = { 1234: 'Old Lesson' };
+
+const rendered = renderLesson({
+  summary: { title: 'Links', description: 'Where this lesson points' },
+  components: [
+    {
+      type: 'MarkdownEditor',
+      content: {
+        text: [
+          'See [the reasons](/courses/the-way-to-go/reasons-for-developing-go#why),',
+          '[evolution](https://www.educative.io/courses/the-way-to-go/origin-evolution-go),',
+          '[gone](/courses/the-way-to-go/1234), [elsewhere](/courses/another-course/intro),',
+          `[by id](https://www.educative.io/collection/page/1/${COLLECTION_ID}/6217282952888320),`,
+          '[a picture](/api/collection/1/2/image/3), [top](#top), [mail](mailto:a@b.c),',
+          '[Go](https://go.dev/doc/) and [the blog](https://blog.example.com/post).',
+          '',
+          '```',
+          '[not a link](https://go.dev/in-code)',
+          '```',
+        ].join('\n'),
+      },
+    },
+    { type: 'SlateHTML', content: { html: '<p><a href="https://go.dev/doc/">again</a> <a href="https://down.example/x">down</a></p>' } },
+  ],
+});
+
+test('collectLinks classifies links and resolves lesson links against the TOC', () => {
+  const links = collectLinks(rendered, { course });
+  assert.deepEqual(links.map(l => [l.href, l.kind, l.status ?? null, l.page?.id ?? null]), [
+    ['/courses/the-way-to-go/reasons-for-developing-go#why', 'lesson', 'ok', 6217282952888320],
+    ['https://www.educative.io/courses/the-way-to-go/origin-evolution-go', 'lesson', 'missing', null],
+    ['/courses/the-way-to-go/1234', 'lesson', 'missing', null],
+    ['/courses/another-course/intro', 'lesson', 'other-course', null],
+    [`https://www.educative.io/collection/page/1/${COLLECTION_ID}/6217282952888320`, 'lesson', 'ok', 6217282952888320],
+    ['/api/collection/1/2/image/3', 'asset', null, null],
+    ['https://go.dev/doc/', 'external', null, null],
+    ['https://blog.example.com/post', 'external', null, null],
+    ['https://down.example/x', 'external', null, null],
+  ]);
+  assert.equal(links[2].detail, 'deleted lesson "Old Lesson"');
+  // Without the course, lesson links are only recognised
+  assert.equal(collectLinks(rendered)[0].status, undefined);
+});
+
+test('an unknown slug is renamed when its title slug or link text names a page', () => {
+  const renamed = renderLesson({ summary: { title: 'x', description: '' }, components: [
+    { type: 'MarkdownEditor', content: { text: '[here](/courses/the-way-to-go/origin-and-evolution-of-go-v1) [cgo](/courses/the-way-to-go/interaction-with-c-and-c) and [Reasons for Developing Go](/courses/the-way-to-go/reasons)' } },
+  ] });
+  const links = collectLinks(renamed, { course });
+  assert.deepEqual(links.map(l => [l.status, l.page?.slug ?? null]),
+    [['missing', null], ['renamed', 'interaction-with-c-and-cpp'], ['renamed', 'reasons-for-developing-go']]);
+  assert.deepEqual(linkFindings(links).map(f => [f.rule, f.severity]),
+    [['link-missing-page', 'error'], ['link-renamed-page', 'warning'], ['link-renamed-page', 'warning']]);
+});
+
+test('the link checker applies the lists first and requests each URL once', async () => {
+  const requests = [];
+  const fetchUrl = async (url, { method }) => {
+    requests.push(`${method} ${url}`);
+    if (url.includes('down.example')) return { ok: false, status: 503, statusText: 'Service Unavailable' };
+    if (method === 'HEAD') return { ok: false, status: 405, statusText: 'Method Not Allowed' };
+    return { ok: true, status: 200, statusText: 'OK' };
+  };
+  const checker = createLinkChecker({ allow: ['go.dev'], deny: ['*.example.com'], fetchExternal: true, fetchUrl });
+  const links = await checkLinks(collectLinks(rendered, { course }), checker);
+  const external = links.filter(l => l.kind === 'external');
+  assert.deepEqual(external.map(l => [l.href, l.status, l.detail ?? null]), [
+    ['https://go.dev/doc/', 'allowed', null],
+    ['https://blog.example.com/post', 'denied', null],
+    ['https://down.example/x', 'broken', '503 Service Unavailable'],
+  ]);
+  assert.deepEqual(requests, ['HEAD https://down.example/x']);
+
+  assert.deepEqual(linkFindings(links).map(f => f.rule), ['link-missing-page', 'link-missing-page', 'link-denied', 'link-broken']);
+  assert.equal((await createLinkChecker({ fetchUrl }).check('https://a.test/')), null, 'nothing is requested without fetchExternal');
+  assert.deepEqual(await createLinkChecker({ fetchExternal: true, fetchUrl }).check('https://a.test/'), { status: 'ok' });
+});
+
+test('relativizeLinks points lesson links at the exported files, keeping anchors', () => {
+  const links = collectLinks(rendered, { course });
+  const files = { 6217282952888320: 'origin-context/reasons-for-developing-go.md' };
+  const result = relativizeLinks(rendered, links, { fromFile: 'basics/links.md', fileOf: page => files[page.id] ?? null });
+  assert.match(result.markdown, /\[the reasons\]\(\.\.\/origin-context\/reasons-for-developing-go\.md#why\)/);
+  assert.match(result.markdown, /\[by id\]\(\.\.\/origin-context\/reasons-for-developing-go\.md\)/);
+  assert.match(result.components[1].markdown, /\[elsewhere\]\(\/courses\/another-course\/intro\)/);
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { renderLesson } from '../lib/lesson.mjs';
+import { lintCourse, lintLesson } from '../lib/lint.mjs';
+
+function lint(components, context) {
+  const json = { summary: { title: 'Lesson', description: 'About it' }, components };
+  return lintLesson(json, renderLesson(json), context);
+}
+
+const rules = findings => findings.map(f => `${f.severity} ${f.rule}`);
+
+test('an empty shown solution is an error', () => {
+  const findings = lint([{ type: 'Code', content: { language: 'go', content: 'x', showSolution: true, solutionContent: ' ' } }]);
+  assert.deepEqual(rules(findings), ['error code-empty-solution']);
+  assert.deepEqual(findings[0].location, { componentIndex: 0, componentType: 'Code' });
+});
+
+test('quiz questions need exactly one correct option', () => {
+  const question = (text, ...correct) => ({ questionText: text, questionOptions: correct.map(c => ({ text: 'a', correct: c })) });
+  const findings = lint([{ type: 'Quiz', content: { questions: [question('none', false, false), question('two', true, true), question('one', true, false)] } }]);
+  assert.deepEqual(rules(findings), ['error quiz-correct-options', 'warning quiz-correct-options']);
+  assert.deepEqual(findings.map(f => f.location.questionIndex), [0, 1]);
+});
+
+test('permutation solutions must reference existing options', () => {
+  const findings = lint([{ type: 'Permutation', content: { options: [{ hashid: 'a', content: 'A' }], protected_content: ['a', 'b'] } }]);
+  assert.deepEqual(rules(findings), ['error permutation-missing-option']);
+  assert.equal(findings[0].location.optionId, 'b');
+});
+
+test('empty table cells, images without alt and malformed math are warnings', () => {
+  const findings = lint([
+    { type: 'Table', content: { data: [['<p>a</p>', '<p> </p>']] } },
+    { type: 'SlateHTML', content: { html: '<p><img src="a.png"></p>' } },
+    { type: 'MarkdownEditor', content: { text: '![](b.png) and ![ok](c.png)' } },
+    { type: 'Latex', content: { text: '$$\\frac{1}{2$$' } },
+  ]);
+  assert.deepEqual(rules(findings), ['warning table-empty-cell', 'warning image-missing-alt', 'warning image-missing-alt', 'warning math-malformed']);
+  assert.deepEqual([findings[0].location.row, findings[0].location.col], [0, 1]);
+  assert.deepEqual(findings.slice(1, 3).map(f => f.location.src), ['a.png', 'b.png']);
+});
+
+test('prose headings must not skip a level, widget headings are ignored', () => {
+  const findings = lint([
+    { type: 'MarkdownEditor', content: { text: '## Part\n\n#### Detail' } },
+    { type: 'MarkdownEditor', content: { text: '```md\n###### not a heading\n```' } },
+  ]);
+  assert.deepEqual(rules(findings), ['warning heading-skip']);
+  assert.equal(findings[0].location.heading, 'Detail');
+});
+
+test('unresolved placeholders are errors and errors come first', () => {
+  const findings = lint([
+    { type: 'MarkdownEditor', content: { text: '![](b.png)' } },
+    { type: 'LazyLoadPlaceholder', content: { unresolved: { reference: null, reason: 'gone' } } },
+  ]);
+  assert.deepEqual(rules(findings), ['error lazy-placeholder-unresolved', 'warning image-missing-alt']);
+  assert.equal(findings[0].location.reason, 'gone');
+});
+
+test('lintCourse reports the platform quality lists', () => {
+  const course = { instance: { details: { pages_with_unordered_headings: [1, 2], pages_with_dangling_concepts: [] } } };
+  assert.deepEqual(lintCourse(course).map(f => [f.rule, f.message]), [['pages-with-unordered-headings', 'Pages with unordered headings: 2']]);
+});
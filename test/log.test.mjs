@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { redact } from '../lib/log.mjs';
+
+test('cookies and auth headers are redacted in free text', () => {
+  assert.equal(redact('cf_clearance=abc; theme=dark'), 'cf_clearance=[REDACTED]; theme=dark');
+  assert.equal(redact('Authorization: Bearer abc.def'), 'Authorization: [REDACTED]');
+  assert.equal(redact('sent {"Cookie":"sess=SECRET"}'), 'sent {"Cookie":"[REDACTED]"}');
+});
+
+test('cookieArgs and headersJson are redacted as text, as JSON and as fields', () => {
+  assert.equal(redact('cookieArgs: sess=SECRET; id=SECRET'), 'cookieArgs: [REDACTED]');
+  assert.equal(redact('bad job {"url":"https://x.test","cookieArgs":"sess=SECRET"}'), 'bad job {"url":"https://x.test","cookieArgs":"[REDACTED]"}');
+  assert.equal(redact('{"headersJson":"{\\"Cookie\\":\\"sess=SECRET\\"}","message":"hi"}'), '{"headersJson":"[REDACTED]","message":"hi"}');
+  assert.equal(redact('headersJson={"X-Token":"SECRET","Accept":"*/*"}'), 'headersJson=[REDACTED]');
+  assert.equal(redact("cookieString='sess=SECRET'"), "cookieString='[REDACTED]'");
+  assert.deepEqual(redact({ job: { cookieArgs: 'sess=SECRET', headersJson: '{}', url: 'u' } }),
+    { job: { cookieArgs: '[REDACTED]', headersJson: '[REDACTED]', url: 'u' } });
+});
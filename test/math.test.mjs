@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { formatMath, stripDelimiters, validateMath } from '../lib/math.mjs';
+
+test('stripDelimiters removes the delimiters an author added and says whether they were display', () => {
+  assert.deepEqual(stripDelimiters(' $$x^2$$ '), { expression: 'x^2', display: true });
+  assert.deepEqual(stripDelimiters('\\[a\\]'), { expression: 'a', display: true });
+  assert.deepEqual(stripDelimiters('\\(a\\)'), { expression: 'a', display: false });
+  assert.deepEqual(stripDelimiters('$a$'), { expression: 'a', display: false });
+  assert.deepEqual(stripDelimiters('a + b'), { expression: 'a + b', display: null });
+});
+
+test('validateMath accepts well-formed expressions, escapes included', () => {
+  assert.deepEqual(validateMath('\\left\\{ x \\right\\} + \\frac{a}{b}'), []);
+  assert.deepEqual(validateMath('\\begin{aligned} a &= b \\\\ c &= d \\end{aligned}'), []);
+  assert.deepEqual(validateMath('\\$5 \\leftarrow x'), []);
+});
+
+test('validateMath names each problem', () => {
+  assert.deepEqual(validateMath('\\frac{1}{2'), ['1 unclosed "{"']);
+  assert.deepEqual(validateMath('a}'), ['unmatched "}"']);
+  assert.deepEqual(validateMath('\\left( x'), ['1 \\left but 0 \\right']);
+  assert.deepEqual(validateMath('\\begin{matrix} a \\end{array}'), ['\\begin{matrix} closed by \\end{array}']);
+  assert.deepEqual(validateMath('\\begin{cases} a'), ['\\begin{cases} is never closed']);
+  assert.deepEqual(validateMath('a $ b'), ['unescaped "$" inside the expression']);
+});
+
+test('formatMath wraps for each dialect and rejects unknown ones', () => {
+  assert.equal(formatMath('x', { display: true }), '$$\nx\n$$');
+  assert.equal(formatMath('x', { dialect: 'mathjax' }), '\\(x\\)');
+  assert.match(formatMath('x', { dialect: 'mathml', display: true }), /<math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML" display="block">/);
+  assert.throws(() => formatMath('x', { dialect: 'ascii' }), /Unknown math dialect "ascii"/);
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { checkGoldenFiles, renderLessonFile } from '../lib/offline.mjs';
+
+const lessonFile = 'fixtures/lessons/6088814712848384.json';
+
+test('renderLessonFile takes the title from the course TOC by the numeric file name', async () => {
+  const rendered = await renderLessonFile(lessonFile, { courseFile: 'downloaded_data.json' });
+  assert.equal(rendered.title, 'Challenge: Decide Employee Salary');
+  assert.match(rendered.markdown, /^# Challenge: Decide Employee Salary\n/);
+  assert.equal(rendered.document.lesson.slug, 'challenge-decide-employee-salary');
+});
+
+test('renderLessonFile renders without a course JSON', async () => {
+  const rendered = await renderLessonFile(lessonFile);
+  assert.equal(rendered.title, undefined);
+  assert.doesNotMatch(rendered.markdown, /# undefined/);
+});
+
+test('checkGoldenFiles applies <name>.options.json and reports the first differing line', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'golden-'));
+  try {
+    await mkdir(join(dir, 'lessons'));
+    const lesson = {
+      summary: { title: 'Hidden', description: 'A lesson' },
+      components: [{ type: 'Code', content: { language: 'go', content: 'package main', solutionContent: 'package main // solved', showSolution: false } }],
+    };
+    await writeFile(join(dir, 'lessons', 'hidden.json'), JSON.stringify(lesson));
+    await writeFile(join(dir, 'lessons', 'hidden.options.json'), JSON.stringify({ reviewer: true }));
+    await checkGoldenFiles(dir, { update: true });
+
+    const { passed, failed } = await checkGoldenFiles(dir);
+    assert.deepEqual(passed, ['hidden']);
+    assert.deepEqual(failed, []);
+
+    await writeFile(join(dir, 'lessons', 'hidden.options.json'), JSON.stringify({ reviewer: false }));
+    const rerun = await checkGoldenFiles(dir);
+    assert.equal(rerun.failed.length, 1);
+    assert.match(rerun.failed[0].reason, /^line \d+:/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { renderLesson } from '../lib/lesson.mjs';
+import * as code from '../lib/renderers/code.mjs';
+import { getRenderer, loadRenderers, registerRenderer, registerRendererModule } from '../lib/renderers/index.mjs';
+// Keeps loadRenderers()' log line off the stdout the test runner reads
+import './helpers/platform.mjs';
+
+const lesson = JSON.parse(readFileSync('fixtures/lessons/6088814712848384.json', 'utf-8'));
+
+test('a renderer module from the config directory replaces the built-in renderer for its type', async () => {
+  const before = renderLesson(lesson);
+  const dir = await mkdtemp(join(tmpdir(), 'renderers-'));
+  try {
+    await writeFile(join(dir, 'code.mjs'), [
+      "export const type = 'Code';",
+      'export default component => `<pre data-lang="${component.content.language}">custom</pre>`;',
+    ].join('\n'), 'utf-8');
+    await writeFile(join(dir, 'notes.txt'), 'not a module', 'utf-8');
+
+    assert.deepEqual(await loadRenderers(dir), ['Code']);
+    const after = renderLesson(lesson);
+    const codeBlock = after.components.find(c => c.type === 'Code');
+    assert.match(codeBlock.markdown, /^<pre data-lang="[^"]+">custom<\/pre>\n$/);
+    assert.notEqual(codeBlock.markdown, before.components.find(c => c.type === 'Code').markdown);
+    // Every other component renders as before
+    assert.deepEqual(
+      after.components.filter(c => c.type !== 'Code').map(c => c.markdown),
+      before.components.filter(c => c.type !== 'Code').map(c => c.markdown),
+    );
+  } finally {
+    registerRenderer('Code', code.default);
+    await rm(dir, { recursive: true, force: true });
+  }
+  assert.equal(getRenderer('Code'), code.default);
+});
+
+test('loadRenderers ignores a missing directory and rejects a module with no type', async () => {
+  assert.deepEqual(await loadRenderers(join(tmpdir(), 'no-such-renderers')), []);
+  assert.throws(() => registerRendererModule({ default: () => '' }, 'broken.mjs'), /broken\.mjs must export "type" or "types"/);
+  assert.throws(() => registerRenderer('Code', 'not a function'), /Renderer for "Code" must be a function/);
+});
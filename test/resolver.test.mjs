@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { resolveLesson } from '../index.mjs';
+import { createCache } from '../lib/cache.mjs';
+import { exitCodeFor } from '../lib/errors.mjs';
+import { findLessonPage, parseLessonUrl } from '../lib/resolver.mjs';
+import { AUTHOR_ID, COLLECTION_ID, PAGE_ID, loadCourse, startPlatform } from './helpers/platform.mjs';
+
+const origin = 'https://www.educative.io';
+
+test('parseLessonUrl reads every known URL shape', () => {
+  assert.deepEqual(parseLessonUrl(`${origin}/courses/the-way-to-go/reasons-for-developing-go`),
+    { origin, courseSlug: 'the-way-to-go', lessonSlug: 'reasons-for-developing-go' });
+  assert.deepEqual(parseLessonUrl(`${origin}/courses/the-way-to-go/${PAGE_ID}/`),
+    { origin, courseSlug: 'the-way-to-go', pageId: PAGE_ID });
+  assert.deepEqual(parseLessonUrl(`${origin}/collection/page/${AUTHOR_ID}/${COLLECTION_ID}/${PAGE_ID}`),
+    { origin, authorId: AUTHOR_ID, collectionId: COLLECTION_ID, pageId: PAGE_ID });
+  assert.deepEqual(parseLessonUrl(`${origin}/api/collection/${AUTHOR_ID}/${COLLECTION_ID}/page/${PAGE_ID}?x=1`),
+    { origin, authorId: AUTHOR_ID, collectionId: COLLECTION_ID, pageId: PAGE_ID });
+  assert.deepEqual(parseLessonUrl(`${origin}/module/abc`), { origin });
+});
+
+test('findLessonPage matches id, then slug, then title, and refuses to guess', () => {
+  const course = loadCourse();
+  assert.equal(findLessonPage(course, { pageId: PAGE_ID }).page.slug, 'challenge-decide-employee-salary');
+  assert.equal(findLessonPage(course, { lessonSlug: 'reasons-for-developing-go' }).page.id, 6217282952888320);
+  assert.equal(findLessonPage(course, { title: 'Reasons for Developing Go' }).category.title, 'Origin, Context and Popularity of GO');
+
+  const ambiguous = (() => { try { findLessonPage(course, { title: 'Quiz: Deduce the Outputs' }); } catch (err) { return err; } })();
+  assert.equal(ambiguous.category, 'ambiguous-page');
+  assert.equal(exitCodeFor(ambiguous), 17);
+  assert.match(ambiguous.message, /^6 lessons match title "Quiz: Deduce the Outputs": "Basic Constructs and Elementary Data Types" \(id 5574006138732544\), "Functions"/);
+
+  assert.throws(() => findLessonPage(course, { lessonSlug: 'no-such-lesson' }), err => err.category === 'slug-not-found' && exitCodeFor(err) === 13);
+});
+
+test('a course slug URL skips the page render once the course is cached', async () => {
+  const platform = await startPlatform();
+  const dir = await mkdtemp(join(tmpdir(), 'resolver-'));
+  try {
+    const cache = createCache({ dir });
+    const direct = await resolveLesson(platform.lessonUrl(), { cache });
+    assert.equal(direct.pageUrl, platform.lessonUrl());
+    await cache.writeCourse(direct.course);
+
+    for (const path of ['challenge-decide-employee-salary', PAGE_ID]) {
+      const resolved = await resolveLesson(`${platform.origin}/courses/the-way-to-go/${path}`, { cache });
+      assert.equal(resolved.pageUrl, platform.lessonUrl());
+      assert.equal(resolved.metadata.title, 'Challenge: Decide Employee Salary');
+    }
+    assert.ok(platform.requests.every(path => path.startsWith('/api/collection/')), 'no lesson page was rendered');
+  } finally {
+    await platform.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createApp } from '../lib/app.mjs';
+import { createJobQueue } from '../lib/job_queue.mjs';
+
+// A queue whose worker finishes each job when the test says so
+function controlledQueue(concurrency = 1) {
+  const started = [];
+  const finish = {};
+  const queue = createJobQueue({
+    concurrency,
+    worker: input => new Promise((resolve, reject) => {
+      started.push(input.message);
+      finish[input.message] = { resolve, reject };
+    }),
+  });
+  return { queue, started, finish };
+}
+
+async function startApp(queue) {
+  const server = createApp({ queue }).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const post = async body => {
+    const res = await fetch(`${origin}/jobs`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    return { status: res.status, location: res.headers.get('location'), body: await res.json() };
+  };
+  const get = async path => {
+    const res = await fetch(`${origin}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+  return { post, get, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const url = 'https://www.educative.io/courses/the-way-to-go/reasons-for-developing-go';
+
+test('POST /jobs rejects invalid requests with 400 and queues nothing', async () => {
+  const { queue, started } = controlledQueue();
+  const app = await startApp(queue);
+  try {
+    const cases = [
+      [{}, '"url" is required'],
+      [{ url: 'not a url' }, '"url" must be an http(s) URL'],
+      [{ url: 'file:///etc/passwd' }, '"url" must be an http(s) URL'],
+      [{ url, headersJson: '{bad' }, /^Invalid Headers JSON/],
+      [{ url, format: 'pdf' }, '"format" must be one of markdown, json, both'],
+      [{ url, reviewer: 'yes' }, '"reviewer" must be true or false'],
+      [{ url, mathDialect: 'ascii' }, '"mathDialect" must be one of github, mathjax, mathml'],
+      [{ url, columnLayout: 'grid' }, '"columnLayout" must be one of sections, html'],
+      [{ url, assessments: ['scorm'] }, '"assessments" must be a list of gift, moodle, qti'],
+      [{ url, workspaces: 'true' }, '"workspaces" must be true or false'],
+      [{ url, checkLinks: 1 }, '"checkLinks" must be true or false'],
+      [{ url, force: 'no' }, '"force" must be true or false'],
+      [{ url, diff: 'both' }, /^"diff" must be one of /],
+    ];
+    for (const [body, error] of cases) {
+      const res = await app.post(body);
+      assert.equal(res.status, 400, JSON.stringify(body));
+      if (typeof error === 'string') assert.equal(res.body.error, error);
+      else assert.match(res.body.error, error);
+    }
+    assert.deepEqual(started, []);
+    assert.deepEqual((await app.get('/health')).body, { status: 'ok', queued: 0, running: 0, concurrency: 1, browser: 'idle', pages: {} });
+  } finally {
+    await app.close();
+  }
+});
+
+test('GET /jobs/:id reports the job without its credentials', async () => {
+  const { queue, finish } = controlledQueue();
+  const app = await startApp(queue);
+  try {
+    const created = await app.post({ url, message: 'Row 1', headersJson: '{"Cookie":"sess=SECRET"}', cookieArgs: 'cf_clearance=SECRET' });
+    assert.equal(created.status, 202);
+    assert.equal(created.location, `/jobs/${created.body.id}`);
+
+    finish['Row 1'].resolve({ markdown: '# Done' });
+    await settle();
+    const { status, body } = await app.get(created.location);
+    assert.equal(status, 200);
+    assert.deepEqual([body.status, body.url, body.message, body.result], ['done', url, 'Row 1', { markdown: '# Done' }]);
+    assert.equal(body.input, undefined);
+    assert.doesNotMatch(JSON.stringify(body), /SECRET|headersJson|cookieArgs/);
+
+    assert.equal((await app.get('/jobs/no-such-job')).status, 404);
+  } finally {
+    await app.close();
+  }
+});
+
+test('jobs run first in, first out, at most `concurrency` at a time', async () => {
+  const { queue, started, finish } = controlledQueue(2);
+  const app = await startApp(queue);
+  try {
+    const ids = [];
+    for (const message of ['a', 'b', 'c', 'd']) ids.push((await app.post({ url, message })).body.id);
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(queue.stats(), { queued: 2, running: 2, concurrency: 2 });
+    assert.equal((await app.get(`/jobs/${ids[2]}`)).body.status, 'queued');
+
+    finish.b.reject(Object.assign(new Error('Failed to deliver'), { category: 'sink' }));
+    await settle();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+    const failed = (await app.get(`/jobs/${ids[1]}`)).body;
+    assert.deepEqual([failed.status, failed.error, failed.category], ['failed', 'Failed to deliver', 'sink']);
+
+    finish.a.resolve();
+    await settle();
+    assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+    finish.c.resolve();
+    finish.d.resolve();
+    await settle();
+    assert.deepEqual(queue.stats(), { queued: 0, running: 0, concurrency: 2 });
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { checkSession, loadCookieFile, toCookieHeader } from '../lib/session.mjs';
+
+const url = 'https://www.educative.io/api/collection/1/2/page/3';
+const challengePage = '<html><head><title>Just a moment...</title></head><body><script src="/cdn-cgi/challenge-platform/x.js"></script></body></html>';
+
+const reasonOf = response => {
+  try {
+    checkSession({ url, ...response });
+    return null;
+  } catch (err) {
+    assert.equal(err.code, 'SESSION_EXPIRED');
+    return err.reason;
+  }
+};
+
+test('a Cloudflare challenge page in HTML means the session is gone', () => {
+  assert.equal(reasonOf({ status: 403, body: challengePage, headers: { 'content-type': 'text/html; charset=UTF-8' } }), 'challenge');
+  assert.equal(reasonOf({ status: 200, body: '{}', headers: { 'cf-mitigated': 'challenge', 'content-type': 'application/json' } }), 'challenge');
+});
+
+test('JSON that quotes a challenge page is not a challenge', () => {
+  const lesson = JSON.stringify({ components: [{ type: 'MarkdownEditor', content: { text: `Cloudflare serves ${challengePage}` } }] });
+  assert.equal(reasonOf({ status: 200, body: lesson, headers: { 'content-type': 'application/json' } }), null);
+  assert.equal(reasonOf({ status: 200, body: lesson }), null);
+});
+
+test('login redirects and 401/403 are reported with their reason', () => {
+  assert.equal(reasonOf({ status: 200, finalUrl: 'https://www.educative.io/login?next=/x', headers: { 'content-type': 'text/html' } }), 'login-redirect');
+  assert.equal(reasonOf({ status: 401, headers: { 'content-type': 'application/json' } }), 'forbidden');
+  assert.equal(reasonOf({ status: 200, finalUrl: url, body: '{}', headers: { 'content-type': 'application/json' } }), null);
+});
+
+test('loadCookieFile reads Netscape and JSON jars, dropping expired and foreign cookies', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'cookies-'));
+  try {
+    const future = Math.floor(Date.now() / 1000) + 3600;
+    const netscape = join(dir, 'cookies.txt');
+    await writeFile(netscape, [
+      '# Netscape HTTP Cookie File',
+      `.educative.io\tTRUE\t/\tTRUE\t${future}\tcf_clearance\tabc`,
+      `#HttpOnly_www.educative.io\tFALSE\t/\tTRUE\t0\tsession\ts=1`,
+      `.educative.io\tTRUE\t/\tTRUE\t1\told\tgone`,
+      `.example.com\tTRUE\t/\tTRUE\t${future}\tother\tx`,
+    ].join('\n'));
+    const cookies = await loadCookieFile(netscape, { domain: 'www.educative.io' });
+    assert.equal(toCookieHeader(cookies), 'cf_clearance=abc; session=s=1');
+    assert.equal(cookies[1].httpOnly, true);
+
+    const json = join(dir, 'cookies.json');
+    await writeFile(json, JSON.stringify({ cookies: [{ name: 'a', value: 1, domain: '.educative.io', expires: -1 }] }));
+    assert.equal(toCookieHeader(await loadCookieFile(json)), 'a=1');
+
+    await writeFile(json, '{"cookies": 3}');
+    await assert.rejects(loadCookieFile(json), /Invalid cookie file/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { fileSink, loadSinkConfig, sendToSinks, webhookSink } from '../lib/sinks.mjs';
+
+// A local webhook answering with the given statuses in turn
+async function webhook(statuses) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('webhookSink signs the body with HMAC-SHA256', async () => {
+  const hook = await webhook([200]);
+  try {
+    await webhookSink({ url: hook.url, secret: 's3cret' }).send({ message: 'hi' });
+    const [{ headers, body }] = hook.requests;
+    assert.equal(body, '{"message":"hi"}');
+    assert.equal(headers['x-signature-256'], 'sha256=' + createHmac('sha256', 's3cret').update(body).digest('hex'));
+  } finally {
+    await hook.close();
+  }
+});
+
+test('webhookSink retries 5xx and 429, then succeeds', async () => {
+  const hook = await webhook([500, 429, 200]);
+  try {
+    await webhookSink({ url: hook.url, retryDelayMs: 1 }).send({});
+    assert.equal(hook.requests.length, 3);
+    assert.equal(hook.requests[0].headers['x-signature-256'], undefined);
+  } finally {
+    await hook.close();
+  }
+});
+
+test('webhookSink fails at once on other 4xx and gives up after the retries', async () => {
+  const rejecting = await webhook([400]);
+  const failing = await webhook([503]);
+  try {
+    await assert.rejects(webhookSink({ url: rejecting.url, retryDelayMs: 1 }).send({}), /rejected: 400/);
+    assert.equal(rejecting.requests.length, 1);
+    await assert.rejects(webhookSink({ url: failing.url, retries: 2, retryDelayMs: 1 }).send({}), /gave up after 3 attempts/);
+    assert.equal(failing.requests.length, 3);
+  } finally {
+    await rejecting.close();
+    await failing.close();
+  }
+});
+
+test('sendToSinks tries every sink and names the failed ones', async () => {
+  const sent = [];
+  const sinks = [
+    { name: 'broken', send: async () => { throw new Error('down'); } },
+    { name: 'ok', send: async payload => { sent.push(payload); } },
+  ];
+  await assert.rejects(sendToSinks(sinks, { a: 1 }), err => err.category === 'sink' && /broken: down/.test(err.message));
+  assert.deepEqual(sent, [{ a: 1 }]);
+});
+
+test('loadSinkConfig posts only when WEBHOOK_URL is set', async () => {
+  assert.deepEqual(await loadSinkConfig({}), [{ type: 'stdout' }]);
+  const [sink] = await loadSinkConfig({ WEBHOOK_URL: 'https://hooks.example/x', WEBHOOK_RETRIES: '5' });
+  assert.equal(sink.type, 'webhook');
+  assert.equal(sink.retries, 5);
+  assert.deepEqual((await loadSinkConfig({ SINKS: 'file, stdout', SINK_DIR: 'out' })).map(s => s.type), ['file', 'stdout']);
+});
+
+test('fileSink keeps payloads sent in the same millisecond in separate files', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'file-sink-'));
+  try {
+    const sink = fileSink({ dir });
+    const timestamp = 1700000000000;
+    await Promise.all([
+      sink.send({ timestamp, message: 'one', fullMarkdown: '# One\n' }),
+      sink.send({ timestamp, message: 'two', fullMarkdown: '# Two\n' }),
+    ]);
+    const files = (await readdir(dir)).sort();
+    assert.equal(files.length, 4);
+    for (const file of files) assert.match(file, /^1700000000000-[0-9a-f]{8}\.(json|md)$/);
+
+    const sent = await Promise.all(files.filter(f => f.endsWith('.json')).map(async file => {
+      const payload = JSON.parse(await readFile(join(dir, file), 'utf-8'));
+      assert.equal(await readFile(join(dir, file.replace(/\.json$/, '.md')), 'utf-8'), payload.fullMarkdown);
+      return payload.message;
+    }));
+    assert.deepEqual(sent.sort(), ['one', 'two']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
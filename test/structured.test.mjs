@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { renderLesson } from '../lib/lesson.mjs';
+import { OUTPUT_FORMATS, buildLessonDocument, countWords, extractCodeBlocks, lessonMetadata, outputFields } from '../lib/structured.mjs';
+import { PAGE_ID, loadCourse, loadLesson } from './helpers/platform.mjs';
+
+const course = loadCourse();
+// The lesson JSON has no title of its own; exports take it from the TOC
+const rendered = renderLesson(loadLesson(), { title: 'Challenge: Decide Employee Salary' });
+const document = buildLessonDocument(rendered, { course, pageId: PAGE_ID });
+
+test('extractCodeBlocks returns each fence with its language, the exercise and its solution', () => {
+  const code = document.components.find(c => c.type === 'Code');
+  assert.deepEqual(extractCodeBlocks(code.markdown), code.codeBlocks);
+  assert.deepEqual(code.codeBlocks.map(b => b.language), ['go', 'go']);
+  assert.match(code.codeBlocks[0].code, /^package main\n/);
+  assert.match(code.codeBlocks[1].code, /this\.salary \+= this\.salary \* pct/);
+  assert.ok(!code.codeBlocks[1].code.includes('```'));
+
+  assert.deepEqual(extractCodeBlocks('```\nplain\n```\n\n```js \nlet a;\nlet b;\n```'), [
+    { language: '', code: 'plain' },
+    { language: 'js', code: 'let a;\nlet b;' },
+  ]);
+  assert.deepEqual(extractCodeBlocks('no `inline` code here'), []);
+});
+
+test('countWords counts prose only, without code blocks or markup', () => {
+  // Inline code reads as part of the sentence and is counted
+  assert.equal(countWords('## Problem statement\n**Bold** _words_ and `code`'), 6);
+  assert.equal(countWords('Before\n```go\nfunc main() { fmt.Println("not counted") }\n```\nafter'), 2);
+  assert.equal(countWords('<details>\n<summary> Solution</summary>\n</details>'), 1);
+  assert.equal(countWords("Don't count 3.14 twice - or a [link]"), 7);
+
+  const code = document.components.find(c => c.type === 'Code');
+  // Only the title above the exercise and the <summary> of the solution
+  assert.equal(code.wordCount, 4);
+  assert.equal(document.wordCount, document.components.reduce((sum, c) => sum + c.wordCount, 0));
+  assert.equal(document.wordCount, 99);
+});
+
+test('the lesson document carries the TOC metadata and one entry per rendered component', () => {
+  assert.deepEqual(document.lesson, {
+    title: 'Challenge: Decide Employee Salary',
+    slug: 'challenge-decide-employee-salary',
+    id: 6088814712848384,
+    category: 'Structs and Methods',
+    courseTitle: 'The Way to Go',
+  });
+  assert.deepEqual(document.components.map(c => c.type), ['SlateHTML', 'MarkdownEditor', 'MarkdownEditor', 'Code', 'MarkdownEditor']);
+  assert.deepEqual(Object.keys(document.components[0]), ['type', 'markdown', 'codeBlocks', 'quizQuestions', 'wordCount']);
+  assert.deepEqual(document.unhandledTypes, []);
+
+  // Without the course only the title and id are known
+  assert.deepEqual(lessonMetadata({ title: 'T', pageId: '42' }), { title: 'T', slug: null, id: 42, category: null, courseTitle: null });
+});
+
+test('outputFields sends fullMarkdown, lessonDocument or both', () => {
+  const result = { markdown: rendered.markdown, document };
+  assert.deepEqual(OUTPUT_FORMATS, ['markdown', 'json', 'both']);
+  assert.deepEqual(Object.keys(outputFields(result)), ['fullMarkdown']);
+  assert.deepEqual(Object.keys(outputFields(result, 'json')), ['lessonDocument']);
+  assert.deepEqual(outputFields(result, 'both'), { fullMarkdown: rendered.markdown, lessonDocument: document });
+  assert.throws(() => outputFields(result, 'html'), /Unknown output format "html" \(expected markdown, json, both\)/);
+});
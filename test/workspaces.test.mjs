@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { writeWorkspaces } from '../lib/workspaces.mjs';
+
+let root;
+before(async () => { root = await mkdtemp(join(tmpdir(), 'workspaces-')); });
+after(() => rm(root, { recursive: true, force: true }));
+
+const lesson = (...components) => ({ summary: { title: 'Code', description: '' }, components });
+const code = content => ({ type: 'Code', content });
+const hasPython = (() => { try { execFileSync('python3', ['--version']); return true; } catch { return false; } })();
+
+test('the exit code decides between ok and error', async () => {
+  const { results, errors } = await writeWorkspaces(lesson(
+    code({ language: 'javascript', content: 'console.log(1);\n' }),
+    code({ language: 'javascript', content: 'console.log(;\n' }),
+  ), { dir: join(root, 'exit'), root });
+  assert.deepEqual(results.map(r => [r.file, r.status]), [['01-code/code/main.js', 'ok'], ['02-code/code/main.js', 'error']]);
+  assert.equal(errors, 1);
+  assert.match(results[1].message, /SyntaxError/);
+});
+
+test('a solution that is only a fragment is skipped, not a syntax error', async () => {
+  const { results, errors, skipped } = await writeWorkspaces(lesson(
+    code({ language: 'go', content: '// Complete greet\npackage main\n', solutionContent: 'func greet() string {\n\treturn "hi"\n}\n' }),
+    code({ language: 'python', content: 'def area(r):\n    pass\n', solutionContent: '    return 3.14 * r * r\n' }),
+  ), { dir: join(root, 'fragments'), root });
+  const solutions = results.filter(r => r.file.includes('/solution/'));
+  assert.deepEqual(solutions.map(r => [r.file, r.status, r.message]), [
+    ['01-code/solution/main.go', 'skipped', 'a fragment, not a whole file: it has no package clause'],
+    ['02-code/solution/main.py', 'skipped', 'a fragment, not a whole file: it starts indented'],
+  ]);
+  assert.equal(errors, 0);
+  assert.ok(skipped >= 2);
+  const manifest = JSON.parse(await readFile(join(root, 'fragments', 'manifest.json'), 'utf-8'));
+  assert.deepEqual(manifest.checks, results);
+});
+
+test('output on stderr from a passing check is a warning', { skip: !hasPython && 'python3 is not installed' }, async () => {
+  // Python only prints its invalid-escape warning when asked to
+  const previous = process.env.PYTHONWARNINGS;
+  process.env.PYTHONWARNINGS = 'always';
+  try {
+    const { results, errors, warnings } = await writeWorkspaces(lesson(code({ language: 'python', content: 'pattern = "\\d+"\n' })),
+      { dir: join(root, 'warning'), root });
+    assert.deepEqual(results.map(r => r.status), ['warning']);
+    assert.match(results[0].message, /^main\.py:1: \w+Warning: invalid escape sequence/);
+    assert.deepEqual([errors, warnings], [0, 1]);
+  } finally {
+    if (previous === undefined) delete process.env.PYTHONWARNINGS;
+    else process.env.PYTHONWARNINGS = previous;
+  }
+});
+
+test('a lesson without a slug or id cannot empty the workspace root', async () => {
+  const shared = join(root, 'shared');
+  await mkdir(join(shared, 'other-lesson'), { recursive: true });
+  await writeFile(join(shared, 'other-lesson', 'manifest.json'), '{}');
+  const json = lesson(code({ language: 'javascript', content: 'x;\n' }));
+  for (const dir of [join(shared, ''), join(shared, '..'), join(shared, '..', 'elsewhere')]) {
+    await assert.rejects(writeWorkspaces(json, { dir, root: shared }), /Refusing to empty/);
+  }
+  assert.ok(existsSync(join(shared, 'other-lesson', 'manifest.json')));
+  assert.equal((await writeWorkspaces(json, { dir: join(shared, 'lesson'), root: shared })).widgets, 1);
+});